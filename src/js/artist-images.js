@@ -0,0 +1,61 @@
+/**
+ * Artist Images
+ * Picks which of an artist's image sizes to show, based on how big it is shown
+ * and the connection, with the other sizes as fallbacks when an image fails to load.
+ */
+
+// Largest image to aim for on slow connections, in pixels
+const SLOW_CONNECTION_IMAGE_SIZE = 320;
+
+// Connection types (navigator.connection.effectiveType) counted as slow
+const SLOW_CONNECTION_TYPES = ['slow-2g', '2g', '3g'];
+
+/**
+ * Get an artist's image variants ({ url, width, height }), largest first
+ * Artists cached before variants were kept only have their largest image.
+ */
+function getArtistImages(artist) {
+    if (artist.images && artist.images.length > 0) {
+        return [...artist.images].sort((a, b) => (b.width || 0) - (a.width || 0));
+    }
+    return artist.image ? [{ url: artist.image, width: null, height: null }] : [];
+}
+
+/**
+ * Get the image size (in pixels) worth loading for something shown displaySize CSS pixels wide
+ * Accounts for high-density screens, and settles for less on slow or data-saving connections.
+ */
+function getPreferredImageSize(displaySize) {
+    let size = displaySize * (window.devicePixelRatio || 1);
+
+    const connection = navigator.connection;
+    if (connection) {
+        if (connection.saveData) {
+            size = 0;
+        } else if (SLOW_CONNECTION_TYPES.includes(connection.effectiveType)) {
+            size = Math.min(size, SLOW_CONNECTION_IMAGE_SIZE);
+        }
+    }
+
+    return size;
+}
+
+/**
+ * Get the URLs to try for an artist's image, in order
+ * The smallest variant at least preferredSize wide comes first (the largest if none is),
+ * then the smaller ones, largest first, and then the larger ones, smallest first.
+ */
+function getArtistImageUrls(artist, preferredSize) {
+    const images = getArtistImages(artist);
+    if (images.length === 0) {
+        return [];
+    }
+
+    // Variants of unknown size count as large enough
+    const bigEnough = images.filter(image => !image.width || image.width >= preferredSize);
+    const chosen = bigEnough.length > 0 ? bigEnough[bigEnough.length - 1] : images[0];
+    const chosenIndex = images.indexOf(chosen);
+
+    const ordered = [chosen, ...images.slice(chosenIndex + 1), ...images.slice(0, chosenIndex).reverse()];
+    return [...new Set(ordered.map(image => image.url))];
+}
@@ -0,0 +1,283 @@
+/**
+ * Artist Pool
+ * Filtering and source mixing shared by the game and the pool preview on the setup page,
+ * plus the artists the host has excluded from all future games
+ * and how each source of the pool loaded.
+ */
+
+// localStorage key of excluded artists ([{ id, name, image }])
+const EXCLUDED_ARTISTS_KEY = 'excludedArtists';
+
+/**
+ * Filter fetched artists down to the playable pool
+ * Leaves out excluded artists, artists without images and artists below minPopularity,
+ * then drops 20% of whatever is beyond artistsNeeded: the artists least popular within their
+ * own source, so a niche source isn't trimmed away by a source of chart toppers.
+ * Returns the pool sorted by popularity (most popular first) if it was trimmed.
+ *
+ * @param {Object} options - { minPopularity, artistsNeeded, excludedArtistIds }
+ */
+function filterArtistPool(artists, { minPopularity = 0, artistsNeeded = 0, excludedArtistIds = [] } = {}) {
+    let pool = artists;
+
+    // Artists the host struck out in the pool preview
+    if (excludedArtistIds.length > 0) {
+        const excluded = new Set(excludedArtistIds);
+        const beforeExclusions = pool.length;
+        pool = pool.filter(artist => !excluded.has(artist.id));
+        console.log(`Exclusions: ${beforeExclusions} → ${pool.length} artists`);
+    }
+
+    // Filter out artists without images (broken/missing photos)
+    const beforeImageFilter = pool.length;
+    pool = pool.filter(artist => {
+        return artist.image && artist.image.trim() !== '';
+    });
+    if (beforeImageFilter > pool.length) {
+        console.log(`Image filter: ${beforeImageFilter} → ${pool.length} artists (removed ${beforeImageFilter - pool.length} without images)`);
+    }
+
+    // Filter by minimum popularity if set
+    if (minPopularity > 0) {
+        const beforeFilter = pool.length;
+        pool = pool.filter(artist => {
+            const popularity = artist.popularity || 0;
+            return popularity >= minPopularity;
+        });
+        console.log(`Popularity filter: ${beforeFilter} → ${pool.length} artists (min popularity: ${minPopularity})`);
+    }
+
+    // Improved artist selection to avoid repetition across games
+    if (pool.length > artistsNeeded) {
+        const byPopularity = (a, b) => (b.popularity || 0) - (a.popularity || 0);
+
+        // Calculate how many artists to keep
+        const remaining = pool.length - artistsNeeded;
+        const bottomTwentyPercent = Math.floor(remaining * 0.2);
+        const artistsToKeep = pool.length - bottomTwentyPercent;
+
+        // Rank each artist within each of its sources (1 = most popular of the source, near 0 = least)
+        // and keep the best rank, so every source loses its own least popular artists
+        const sourceRanks = new Map();
+        groupArtistsBySource(pool).forEach(sourceArtists => {
+            [...sourceArtists].sort(byPopularity).forEach((artist, i) => {
+                const rank = 1 - i / sourceArtists.length;
+                sourceRanks.set(artist.id, Math.max(sourceRanks.get(artist.id) || 0, rank));
+            });
+        });
+
+        // Remove the bottom 20% of excess artists (keeps top 80% + all needed)
+        pool = [...pool]
+            .sort((a, b) => (sourceRanks.get(b.id) - sourceRanks.get(a.id)) || byPopularity(a, b))
+            .slice(0, artistsToKeep)
+            .sort(byPopularity);
+        console.log(`Artist pool: kept ${artistsToKeep} artists (removed bottom ${bottomTwentyPercent} least popular within their sources from ${artistsToKeep + bottomTwentyPercent} total)`);
+    }
+
+    return pool;
+}
+
+/**
+ * Group artists by the sources they came from (sourceId -> artists)
+ * Artists without sources are grouped under ''.
+ */
+function groupArtistsBySource(artists) {
+    const groups = new Map();
+    artists.forEach(artist => {
+        const sourceIds = artist.sources && artist.sources.length > 0 ? artist.sources : [''];
+        sourceIds.forEach(sourceId => {
+            if (!groups.has(sourceId)) {
+                groups.set(sourceId, []);
+            }
+            groups.get(sourceId).push(artist);
+        });
+    });
+    return groups;
+}
+
+/**
+ * Order the shuffled pool so each source gets its share
+ * Weighted sources are drawn from in proportion to their weight (1 by default), and sources
+ * with a quota contribute exactly that many artists, spread over the first artistsNeeded.
+ * Artists left over beyond a quota go last, so they only show up if the game runs long.
+ * Each source's artists are taken in pool order, so fresh artists put first are used first.
+ *
+ * Returns { artists, counts }, counts being sourceId -> artists among the first artistsNeeded
+ *
+ * @param {Object} options - { sourceIds, sourceMix: sourceId -> { weight } or { quota }, artistsNeeded }
+ */
+function applySourceMix(artists, { sourceIds = [], sourceMix = {}, artistsNeeded = 0 } = {}) {
+    const mixOf = sourceId => sourceMix[sourceId] || { weight: 1 };
+
+    // Each source's artists, in pool order (an artist can be in several sources)
+    const buckets = new Map(sourceIds.map(sourceId => [sourceId, []]));
+    artists.forEach(artist => {
+        (artist.sources || []).forEach(sourceId => {
+            if (buckets.has(sourceId)) {
+                buckets.get(sourceId).push(artist);
+            }
+        });
+    });
+
+    // artistId -> the source it was taken for
+    const taken = new Map();
+    const takeNext = sourceId => {
+        const bucket = buckets.get(sourceId);
+        while (bucket.length > 0) {
+            const artist = bucket.shift();
+            if (!taken.has(artist.id)) {
+                taken.set(artist.id, sourceId);
+                return artist;
+            }
+        }
+        return null;
+    };
+
+    // Sources with a quota first, so an artist shared with a weighted source counts towards the quota
+    const quotaArtists = [];
+    sourceIds.filter(sourceId => mixOf(sourceId).quota).forEach(sourceId => {
+        for (let i = 0; i < mixOf(sourceId).quota; i++) {
+            const artist = takeNext(sourceId);
+            if (!artist) break;
+            quotaArtists.push(artist);
+        }
+    });
+    shuffleArray(quotaArtists);
+
+    // Weighted draw between the other sources until they run out
+    const weightedArtists = [];
+    let weighted = sourceIds.filter(sourceId => mixOf(sourceId).weight);
+    while (weighted.length > 0) {
+        const totalWeight = weighted.reduce((sum, sourceId) => sum + mixOf(sourceId).weight, 0);
+        let pick = Math.random() * totalWeight;
+        const sourceId = weighted.find(id => (pick -= mixOf(id).weight) < 0) || weighted[weighted.length - 1];
+
+        const artist = takeNext(sourceId);
+        if (artist) {
+            weightedArtists.push(artist);
+        } else {
+            weighted = weighted.filter(id => id !== sourceId);
+        }
+    }
+
+    // Spread the quota artists evenly over the part of the pool a game is expected to use
+    const mixed = [];
+    const span = Math.min(artistsNeeded, weightedArtists.length + quotaArtists.length);
+    const step = quotaArtists.length > 0 ? span / quotaArtists.length : 0;
+    let quotaIndex = 0;
+    while (quotaIndex < quotaArtists.length || weightedArtists.length > 0) {
+        if (quotaIndex < quotaArtists.length && (weightedArtists.length === 0 || quotaIndex * step <= mixed.length)) {
+            mixed.push(quotaArtists[quotaIndex++]);
+        } else {
+            mixed.push(weightedArtists.shift());
+        }
+    }
+
+    // Artists beyond their source's quota (or from no known source) go last, still in pool order
+    const leftovers = artists.filter(artist => !taken.has(artist.id));
+
+    const counts = {};
+    mixed.slice(0, artistsNeeded).forEach(artist => {
+        const sourceId = taken.get(artist.id);
+        counts[sourceId] = (counts[sourceId] || 0) + 1;
+    });
+    console.log(`Source mix: ${mixed.length} mixed + ${leftovers.length} leftover artists, first ${artistsNeeded} by source:`, counts);
+
+    return { artists: [...mixed, ...leftovers], counts };
+}
+
+/**
+ * Move artists seen in recent games to the end of the shuffled pool
+ * (or leave them out with freshOnly, as long as minNeeded artists remain)
+ * Returns { artists, recentlySeenAdded }
+ *
+ * @param {Map} seen - artistId -> { gamesAgo, guessed }, from getRecentlySeenArtists
+ * @param {Object} options - { freshOnly, minNeeded }
+ */
+function applyArtistCooldown(artists, seen, { freshOnly = false, minNeeded = 0 } = {}) {
+    const freshArtists = artists.filter(artist => !seen.has(artist.id));
+
+    // Least recently seen first; artists someone guessed are remembered best, so they come last
+    const recentArtists = artists
+        .filter(artist => seen.has(artist.id))
+        .sort((a, b) => {
+            const seenA = seen.get(a.id);
+            const seenB = seen.get(b.id);
+            return (seenB.gamesAgo - seenA.gamesAgo) || (seenA.guessed - seenB.guessed);
+        });
+
+    console.log(`Artist cool-down: ${freshArtists.length} fresh, ${recentArtists.length} seen in recent games`);
+
+    if (!freshOnly) {
+        return { artists: [...freshArtists, ...recentArtists], recentlySeenAdded: 0 };
+    }
+
+    if (freshArtists.length >= minNeeded) {
+        return { artists: freshArtists, recentlySeenAdded: 0 };
+    }
+
+    // Too few fresh artists - top up with the least recently seen ones rather than failing
+    const topUp = recentArtists.slice(0, minNeeded - freshArtists.length);
+    console.warn(`Only ${freshArtists.length} fresh artists (need ${minNeeded}), adding ${topUp.length} recently seen`);
+    return { artists: [...freshArtists, ...topUp], recentlySeenAdded: topUp.length };
+}
+
+/**
+ * Shuffle array in place
+ */
+function shuffleArray(array) {
+    for (let i = array.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [array[i], array[j]] = [array[j], array[i]];
+    }
+}
+
+/**
+ * Get the artists excluded from future games
+ */
+function getExcludedArtists() {
+    try {
+        return JSON.parse(localStorage.getItem(EXCLUDED_ARTISTS_KEY)) || [];
+    } catch (error) {
+        console.error('Failed to load excluded artists:', error);
+        return [];
+    }
+}
+
+/**
+ * Save the artists excluded from future games
+ */
+function saveExcludedArtists(artists) {
+    try {
+        localStorage.setItem(EXCLUDED_ARTISTS_KEY, JSON.stringify(artists));
+    } catch (error) {
+        console.error('Failed to save excluded artists:', error);
+    }
+}
+
+/**
+ * Describe how loading a source went (outcomes from getArtistsFromSources)
+ */
+function describeSourceOutcome(outcome) {
+    switch (outcome.status) {
+        case 'ok':
+            return `${outcome.artistCount} artists`;
+        case 'empty':
+            return 'No artists';
+        case 'not-found':
+            return 'Not found (deleted?)';
+        case 'forbidden':
+            return 'Private or not accessible';
+        case 'rate-limited':
+            return 'Spotify rate limit, try again shortly';
+        default:
+            return `Failed: ${outcome.error ? outcome.error.message : 'unknown error'}`;
+    }
+}
+
+/**
+ * Whether a source failed to load (as opposed to loading with or without artists)
+ */
+function isFailedSourceOutcome(outcome) {
+    return outcome.status !== 'ok' && outcome.status !== 'empty';
+}
@@ -45,12 +45,18 @@ const SPOTIFY_CONFIG = {
         'user-top-read',              // Read user's top artists
         'playlist-read-private',       // Read user's playlists
         'playlist-read-collaborative', // Read collaborative playlists
+        'user-library-read',           // Read Liked Songs
+        'user-read-recently-played',   // Read recently played tracks
+        'user-follow-read',            // Read followed artists
     ],
 
     // Spotify API endpoints
     authEndpoint: 'https://accounts.spotify.com/authorize',
     tokenEndpoint: 'https://accounts.spotify.com/api/token',
-    apiBaseUrl: 'https://api.spotify.com/v1'
+    apiBaseUrl: 'https://api.spotify.com/v1',
+
+    // Parallel API requests when loading playlists (lower this if Spotify rate limits a lot)
+    requestConcurrency: 4
 };
 
 // Make config available globally
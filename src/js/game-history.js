@@ -0,0 +1,123 @@
+/**
+ * Game History
+ * Completed games stored locally in IndexedDB (see storage.js).
+ * Each record is summarized from the game log, which is kept for export.
+ */
+
+/**
+ * Build a history record from a game log document
+ */
+function buildGameHistoryRecord(log) {
+    const { scores, playerStats } = computeGameSummary(log);
+    const { fastestGuess, fastestPlayer, bestStreak, bestStreakPlayer } = computeHighlights(playerStats);
+
+    const events = log.events;
+    const playedAt = events.length > 0 ? events[0].at : Date.parse(log.exportedAt);
+    const endedAt = events.length > 0 ? events[events.length - 1].at : playedAt;
+
+    // Keep just what the history list needs from artists
+    const artistSummary = artist => ({ name: artist.name, image: artist.image || null });
+
+    return {
+        id: log.gameId,
+        playedAt,
+        endedAt,
+        teams: log.teams
+            .map(team => ({
+                id: team.id,
+                members: team.members,
+                profiles: team.profiles || {},
+                score: scores[team.id] || 0
+            }))
+            .sort((a, b) => b.score - a.score),
+        sources: log.settings.sources && log.settings.sources.length > 0
+            ? log.settings.sources
+            : (log.settings.playlistIds || []).map(id => ({ id, name: id })),
+        settings: {
+            gameMode: log.settings.gameMode,
+            playerDuration: log.settings.playerDuration,
+            minPopularity: log.settings.minPopularity,
+            showHints: log.settings.showHints
+        },
+        highlights: {
+            fastestGuess: fastestGuess ? {
+                player: fastestPlayer.name,
+                teamMembers: fastestPlayer.teamMembers,
+                artist: artistSummary(fastestGuess.artist),
+                time: fastestGuess.time
+            } : null,
+            bestStreak: bestStreakPlayer && bestStreak > 0 ? {
+                player: bestStreakPlayer.name,
+                teamMembers: bestStreakPlayer.teamMembers,
+                count: bestStreak,
+                artists: bestStreakPlayer.bestStreakArtists.map(artistSummary)
+            } : null
+        },
+        log
+    };
+}
+
+/**
+ * Save a completed game (replaces an earlier record of the same game)
+ */
+async function saveGameToHistory(record) {
+    if (!record.id) {
+        throw new Error('Cannot save a game without an id');
+    }
+    await dbPut('games', record);
+    console.log('Saved game to history:', record.id);
+}
+
+/**
+ * Get all completed games, most recent first
+ */
+async function getGameHistory() {
+    const games = await dbGetAll('games');
+    return games.sort((a, b) => b.endedAt - a.endedAt);
+}
+
+/**
+ * Get a single completed game
+ */
+function getHistoryGame(gameId) {
+    return dbGet('games', gameId);
+}
+
+/**
+ * Find the artists shown in the most recent games
+ * Returns artistId -> { gamesAgo, guessed, skipped }, where gamesAgo 0 is the last game
+ */
+async function getRecentlySeenArtists(gameCount) {
+    const seen = new Map();
+    if (gameCount <= 0) {
+        return seen;
+    }
+
+    const games = (await getGameHistory()).slice(0, gameCount);
+    games.forEach((game, gamesAgo) => {
+        if (!game.log) return;
+
+        getEffectiveEvents(game.log).forEach(event => {
+            if (!['artist-shown', 'correct', 'skip'].includes(event.type)) return;
+
+            // Only the most recent game an artist appeared in counts
+            if (!seen.has(event.artistId)) {
+                seen.set(event.artistId, { gamesAgo, guessed: false, skipped: false });
+            }
+            const entry = seen.get(event.artistId);
+            if (entry.gamesAgo === gamesAgo) {
+                entry.guessed = entry.guessed || event.type === 'correct';
+                entry.skipped = entry.skipped || event.type === 'skip';
+            }
+        });
+    });
+
+    return seen;
+}
+
+/**
+ * Delete a completed game
+ */
+function deleteGameFromHistory(gameId) {
+    return dbDelete('games', gameId);
+}
@@ -0,0 +1,244 @@
+/**
+ * Game Log
+ * Versioned JSON document of everything that happened in a game.
+ * Summary statistics (scores, streaks, fastest guesses) can be recomputed from it.
+ */
+
+// Identifies exported game logs
+const GAME_LOG_FORMAT = 'guess-the-artist-game-log';
+
+// Game log format version - bump when the document shape changes
+const GAME_LOG_VERSION = 1;
+
+// Game ids are used as keys and in markup, so they are kept to a safe alphabet
+const GAME_ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+
+/**
+ * Create an id for a new game
+ */
+function createGameId() {
+    return `game-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Build a game log document from the config, the ordered events and the artist pool
+ */
+function buildGameLog(gameConfig, events, artists) {
+    // Only include artists that appear in the log
+    const artistIds = new Set(events.filter(e => e.artistId).map(e => e.artistId));
+    const artistsById = {};
+    artists.forEach(artist => {
+        if (artistIds.has(artist.id)) {
+            artistsById[artist.id] = {
+                name: artist.name,
+                image: artist.image,
+                popularity: artist.popularity
+            };
+        }
+    });
+
+    return {
+        format: GAME_LOG_FORMAT,
+        version: GAME_LOG_VERSION,
+        gameId: gameConfig.gameId,
+        exportedAt: new Date().toISOString(),
+        settings: {
+            gameMode: gameConfig.gameMode,
+            playerDuration: gameConfig.playerDuration,
+            minPopularity: gameConfig.minPopularity,
+            showHints: gameConfig.showHints,
+            playlistIds: gameConfig.playlistIds,
+            sources: gameConfig.sources || []  // { id, name } of each selected source
+        },
+        teams: gameConfig.teams.map(team => ({
+            id: team.id,
+            members: team.members,
+            profiles: team.profiles || {}  // member name -> player profile id
+        })),
+        artists: artistsById,
+        events
+    };
+}
+
+/**
+ * Save a game log document as a JSON file
+ */
+function downloadGameLogFile(log) {
+    const blob = new Blob([JSON.stringify(log, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const date = new Date(log.events.length > 0 ? log.events[0].at : Date.now());
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `guess-the-artist-${date.toISOString().slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Parse and validate a game log document (JSON string or object)
+ */
+function parseGameLog(json) {
+    const log = typeof json === 'string' ? JSON.parse(json) : json;
+
+    if (!log || log.format !== GAME_LOG_FORMAT) {
+        throw new Error('Not a Guess the Artist game log');
+    }
+    if (log.version !== GAME_LOG_VERSION) {
+        throw new Error(`Unsupported game log version ${log.version} (expected ${GAME_LOG_VERSION})`);
+    }
+    if (!Array.isArray(log.teams) || !Array.isArray(log.events) || !log.artists) {
+        throw new Error('Game log is missing teams, events or artists');
+    }
+    validateGameLogFields(log);
+
+    return log;
+}
+
+/**
+ * Check the fields of a game log that end up in the history, throwing on the first bad one
+ * Imported files can contain anything, so every string is checked to really be a string.
+ */
+function validateGameLogFields(log) {
+    const isString = value => typeof value === 'string';
+    const isOptionalString = value => value === undefined || value === null || isString(value);
+    const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const check = (valid, field) => {
+        if (!valid) {
+            throw new Error(`Game log has an invalid ${field}`);
+        }
+    };
+
+    check(isString(log.gameId) && GAME_ID_PATTERN.test(log.gameId), 'game id');
+    check(isPlainObject(log.settings), 'settings');
+    check(isOptionalString(log.settings.gameMode), 'game mode');
+    check(log.settings.playlistIds === undefined || (Array.isArray(log.settings.playlistIds) && log.settings.playlistIds.every(isString)), 'playlist list');
+    check(log.settings.sources === undefined || (Array.isArray(log.settings.sources) &&
+        log.settings.sources.every(source => isPlainObject(source) && isString(source.id) && isString(source.name))), 'source list');
+
+    log.teams.forEach(team => {
+        check(isPlainObject(team) && isString(team.id), 'team');
+        check(Array.isArray(team.members) && team.members.length > 0 && team.members.every(isString), 'team member list');
+        check(team.profiles === undefined || (isPlainObject(team.profiles) && Object.values(team.profiles).every(isString)), 'team profile list');
+    });
+
+    check(isPlainObject(log.artists), 'artist list');
+    Object.values(log.artists).forEach(artist => {
+        check(isPlainObject(artist) && isString(artist.name), 'artist');
+        check(isOptionalString(artist.image) && (!artist.image || /^https?:\/\//.test(artist.image)), 'artist image');
+    });
+
+    log.events.forEach(event => {
+        check(isPlainObject(event) && isString(event.type) && Number.isFinite(event.seq) && Number.isFinite(event.at), 'event');
+        check(isOptionalString(event.teamId) && isOptionalString(event.playerId) && isOptionalString(event.artistId), 'event');
+    });
+}
+
+/**
+ * Get the events that still count, leaving out decisions that were undone
+ * Undo restores the exact state before a decision, so undone decisions are simply skipped
+ */
+function getEffectiveEvents(log) {
+    const undone = new Set(log.events.filter(e => e.type === 'undo').map(e => e.undoes));
+    return log.events.filter(e => !undone.has(e.seq));
+}
+
+/**
+ * Recompute scores and per-player stats by replaying the event log
+ * Returns the same shapes as gameState.scores and gameState.playerStats
+ */
+function computeGameSummary(log) {
+    const scores = {};
+    const playerStats = {};
+
+    log.teams.forEach(team => {
+        scores[team.id] = 0;
+        team.members.forEach(member => {
+            playerStats[`${team.id}-${member}`] = {
+                name: member,
+                teamMembers: team.members,
+                correct: 0,
+                passed: 0,
+                fastestGuess: null,
+                currentStreak: 0,
+                currentStreakArtists: [],
+                bestStreak: 0,
+                bestStreakArtists: [],
+                guesses: []
+            };
+        });
+    });
+
+    getEffectiveEvents(log).forEach(event => {
+        const stats = playerStats[event.playerId];
+        if (!stats) return;
+
+        const artist = event.artistId ? { id: event.artistId, ...log.artists[event.artistId] } : null;
+
+        switch (event.type) {
+            case 'round-start':
+                // A round resumed after a reload keeps its streak
+                if (!event.resumed) {
+                    stats.currentStreak = 0;
+                    stats.currentStreakArtists = [];
+                }
+                break;
+
+            case 'correct':
+                stats.correct++;
+                stats.currentStreak++;
+                stats.currentStreakArtists.push(artist);
+
+                if (stats.currentStreak > stats.bestStreak) {
+                    stats.bestStreak = stats.currentStreak;
+                    stats.bestStreakArtists = [...stats.currentStreakArtists];
+                }
+
+                if (stats.fastestGuess === null || event.guessTime < stats.fastestGuess.time) {
+                    stats.fastestGuess = { time: event.guessTime, artist };
+                }
+
+                scores[event.teamId]++;
+                stats.guesses.push({
+                    artist,
+                    time: event.guessTime,
+                    wasCorrect: true,
+                    guessedAt: event.at
+                });
+                break;
+
+            case 'skip':
+                stats.passed++;
+                stats.currentStreak = 0;
+                stats.currentStreakArtists = [];
+                break;
+        }
+    });
+
+    return { scores, playerStats };
+}
+
+/**
+ * Find the game's highlights (fastest guess and best streak) from per-player stats
+ */
+function computeHighlights(playerStats) {
+    let fastestGuess = null;
+    let fastestPlayer = null;
+    let bestStreak = 0;
+    let bestStreakPlayer = null;
+
+    Object.values(playerStats).forEach(stats => {
+        if (stats.fastestGuess && (fastestGuess === null || stats.fastestGuess.time < fastestGuess.time)) {
+            fastestGuess = stats.fastestGuess;
+            fastestPlayer = stats;
+        }
+        if (stats.bestStreak > bestStreak) {
+            bestStreak = stats.bestStreak;
+            bestStreakPlayer = stats;
+        }
+    });
+
+    return { fastestGuess, fastestPlayer, bestStreak, bestStreakPlayer };
+}
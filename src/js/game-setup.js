@@ -6,8 +6,48 @@
 let spotifyClient = null;
 let teams = [];
 let userPlaylists = [];
+let currentUserId = null;  // Spotify id of the logged in user (to tell own playlists from followed)
 let previouslyUsedPlaylists = [];
 let selectedPlaylistIds = [];
+let sourceMix = {};  // sourceId -> { weight } or { quota }, sources without an entry have weight 1
+let gameHistory = [];
+let playerProfiles = [];
+let expandedHistoryGameId = null;
+let poolPreviewArtists = [];  // Artists fetched for the pool preview, before filtering
+let poolPreviewSourceCounts = null;  // sourceId -> artists the previewed pool's mix gives each source
+let poolPreviewSeen = new Map();  // Artists of recent games, for the previewed pool's cool-down
+let excludedArtists = [];  // Artists struck out in the pool preview ({ id, name, image })
+let magicSources = [];  // Curated playlists from the magic playlists registry, shaped like playlists
+
+// Source mix choices in the Selected tab: a share of the pool, or a fixed number of artists
+const SOURCE_WEIGHTS = [1, 2, 3, 5];
+const SOURCE_QUOTAS = [5, 10, 20, 50];
+
+// Decades and genres offered as sources (see getArtistsByDecade / getArtistsByGenres)
+const SOURCE_DECADES = ['1960s', '1970s', '1980s', '1990s', '2000s', '2010s', '2020s'];
+const SOURCE_GENRES = ['Pop', 'Rock', 'Hip Hop', 'R&B', 'Electronic', 'Indie', 'Country', 'Jazz', 'Latin', 'Metal', 'Soul', 'Punk', 'Reggae', 'Folk'];
+
+// Decade and genre sources, shaped like playlists so they can be selected alongside them
+const catalogSources = [
+    ...SOURCE_DECADES.map(decade => ({
+        id: `${DECADE_SOURCE_PREFIX}${decade}`,
+        name: `The ${decade}`,
+        owner: 'Spotify',
+        ownerId: null,
+        trackCount: 0,
+        description: `Popular artists from the ${decade}`,
+        image: null
+    })),
+    ...SOURCE_GENRES.map(genre => ({
+        id: `${GENRE_SOURCE_PREFIX}${genre.toLowerCase()}`,
+        name: genre,
+        owner: 'Spotify',
+        ownerId: null,
+        trackCount: 0,
+        description: `Popular ${genre} artists`,
+        image: null
+    }))
+];
 
 // DOM Elements
 const authSection = document.getElementById('auth-section');
@@ -30,7 +70,7 @@ const statusMessage = document.getElementById('status-message');
  * Initialize app on page load
  */
 window.addEventListener('DOMContentLoaded', async () => {
-    spotifyClient = new SpotifyClient();
+    spotifyClient = new SpotifyClient(new SpotifyCache());
 
     console.log('Page loaded, checking auth state...');
     console.log('URL has code param:', window.location.search.includes('code='));
@@ -68,6 +108,7 @@ window.addEventListener('DOMContentLoaded', async () => {
     }
 
     setupEventListeners();
+    loadProfiles();
 });
 
 /**
@@ -79,6 +120,21 @@ function setupEventListeners() {
     addTeamButton.addEventListener('click', addTeam);
     startGameButton.addEventListener('click', startGame);
 
+    // Curated playlists for the Magic Sources tab
+    loadMagicSources();
+
+    // Artist pool preview
+    excludedArtists = getExcludedArtists();
+    document.getElementById('preview-pool-button').addEventListener('click', previewArtistPool);
+    document.getElementById('clear-exclusions-button').addEventListener('click', clearExcludedArtists);
+    document.getElementById('pool-preview-grid').addEventListener('click', (e) => {
+        const artistButton = e.target.closest('[data-artist-id]');
+        if (artistButton) {
+            toggleArtistExclusion(artistButton.dataset.artistId);
+        }
+    });
+    renderPoolPreview();
+
     // Filter playlists as user types
     if (playlistFilter) {
         playlistFilter.addEventListener('input', (e) => {
@@ -86,6 +142,16 @@ function setupEventListeners() {
         });
     }
 
+    // Sort and owner filter apply on top of the text filter
+    ['playlist-sort', 'playlist-owner-filter'].forEach(id => {
+        const select = document.getElementById(id);
+        if (select) {
+            select.addEventListener('change', () => {
+                renderPlaylists(playlistFilter ? playlistFilter.value : '');
+            });
+        }
+    });
+
     // Update popularity value display and save settings
     const minPopularitySlider = document.getElementById('min-popularity');
     const popularityValueDisplay = document.getElementById('popularity-value');
@@ -93,18 +159,36 @@ function setupEventListeners() {
         minPopularitySlider.addEventListener('input', (e) => {
             popularityValueDisplay.textContent = e.target.value;
         });
-        minPopularitySlider.addEventListener('change', saveState);
+        minPopularitySlider.addEventListener('change', () => {
+            saveState();
+            renderPoolPreview();
+        });
     }
 
     // Save settings when changed
     const roundDurationInput = document.getElementById('round-duration');
     if (roundDurationInput) {
-        roundDurationInput.addEventListener('change', saveState);
+        roundDurationInput.addEventListener('change', () => {
+            saveState();
+            renderPoolPreview();
+        });
     }
 
     const timeRangeSelect = document.getElementById('time-range');
     if (timeRangeSelect) {
-        timeRangeSelect.addEventListener('change', saveState);
+        timeRangeSelect.addEventListener('change', () => {
+            saveState();
+            resetPoolPreview();
+        });
+    }
+
+    const featuredArtistsSelect = document.getElementById('featured-artists');
+    if (featuredArtistsSelect) {
+        featuredArtistsSelect.addEventListener('change', () => {
+            saveState();
+            resetPoolPreview();
+            updateReviewSummary();
+        });
     }
 
     const gameModeSelect = document.getElementById('game-mode');
@@ -123,6 +207,98 @@ function setupEventListeners() {
         });
     }
 
+    const artistCooldownSelect = document.getElementById('artist-cooldown');
+    if (artistCooldownSelect) {
+        artistCooldownSelect.addEventListener('change', () => {
+            saveState();
+            updateReviewSummary();
+            if (poolPreviewArtists.length > 0) {
+                loadPoolPreviewSeen();
+            }
+        });
+    }
+
+    const freshArtistsOnlyCheckbox = document.getElementById('fresh-artists-only');
+    if (freshArtistsOnlyCheckbox) {
+        freshArtistsOnlyCheckbox.addEventListener('change', () => {
+            saveState();
+            updateReviewSummary();
+            renderPoolPreview();
+        });
+    }
+
+    // Controls settings
+    ['correct-keys', 'skip-keys', 'pause-keys', 'swipe-controls', 'tilt-controls'].forEach(id => {
+        const input = document.getElementById(id);
+        if (input) {
+            input.addEventListener('change', () => {
+                saveState();
+                updateReviewSummary();
+            });
+        }
+    });
+
+    const clearCacheButton = document.getElementById('clear-cache-button');
+    if (clearCacheButton) {
+        clearCacheButton.addEventListener('click', clearSpotifyCache);
+    }
+
+    // Create a player profile from the History tab
+    const addProfileButton = document.getElementById('add-profile-button');
+    const newProfileInput = document.getElementById('new-profile-name');
+    if (addProfileButton && newProfileInput) {
+        addProfileButton.addEventListener('click', () => addProfile(newProfileInput.value));
+        newProfileInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                addProfile(newProfileInput.value);
+            }
+        });
+    }
+
+    // Import a downloaded game log into the history
+    const historyImportInput = document.getElementById('history-import-input');
+    if (historyImportInput) {
+        historyImportInput.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                importGameLog(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+    }
+
+    // Past games: expand, export and delete (game ids come from imported files, so no inline handlers)
+    const historyList = document.getElementById('history-list');
+    if (historyList) {
+        historyList.addEventListener('click', (e) => {
+            const target = e.target.closest('[data-history-action]');
+            if (!target) return;
+
+            const gameId = target.closest('[data-game-id]').dataset.gameId;
+            if (target.dataset.historyAction === 'toggle') {
+                toggleHistoryGame(gameId);
+            } else if (target.dataset.historyAction === 'export') {
+                exportHistoryGame(gameId);
+            } else if (target.dataset.historyAction === 'delete') {
+                deleteHistoryGame(gameId);
+            }
+        });
+    }
+
+    // Player profiles: colour and delete (no inline handlers, like the history list)
+    const profilesList = document.getElementById('profiles-list');
+    if (profilesList) {
+        profilesList.addEventListener('change', (e) => {
+            if (e.target.classList.contains('profile-color')) {
+                changeProfileColor(e.target.closest('[data-profile-id]').dataset.profileId, e.target.value);
+            }
+        });
+        profilesList.addEventListener('click', (e) => {
+            if (e.target.closest('[data-profile-action="remove"]')) {
+                removeProfile(e.target.closest('[data-profile-id]').dataset.profileId);
+            }
+        });
+    }
+
     // Search playlists
     const searchButton = document.getElementById('playlist-search-button');
     const searchInput = document.getElementById('playlist-search-input');
@@ -226,6 +402,8 @@ async function initializeAuthenticatedUI() {
         console.log('Fetching user profile...');
         const user = await spotifyClient.getCurrentUser();
         console.log('User profile received:', user);
+        currentUserId = user.id;
+        renderPlaylists(playlistFilter ? playlistFilter.value : '');
         if (userName) {
             userName.textContent = `Logged in as ${user.display_name || user.id}`;
         }
@@ -253,6 +431,12 @@ function restoreSavedState() {
             console.log('Restored teams:', teams);
         }
 
+        // Restore source weights and quotas
+        const savedSourceMix = localStorage.getItem('savedSourceMix');
+        if (savedSourceMix) {
+            sourceMix = JSON.parse(savedSourceMix);
+        }
+
         // Restore selected playlists
         const savedPlaylists = localStorage.getItem('savedPlaylists');
         if (savedPlaylists) {
@@ -267,6 +451,7 @@ function restoreSavedState() {
 
         // Restore previously used playlists
         loadPreviouslyUsedPlaylists();
+        renderCatalogSources();
 
         // Restore game settings
         const savedSettings = localStorage.getItem('savedSettings');
@@ -278,6 +463,9 @@ function restoreSavedState() {
             if (settings.timeRange !== undefined) {
                 document.getElementById('time-range').value = settings.timeRange;
             }
+            if (settings.featuredArtists !== undefined) {
+                document.getElementById('featured-artists').value = settings.featuredArtists;
+            }
             if (settings.minPopularity !== undefined) {
                 document.getElementById('min-popularity').value = settings.minPopularity;
                 document.getElementById('popularity-value').textContent = settings.minPopularity;
@@ -288,6 +476,19 @@ function restoreSavedState() {
             if (settings.showHints !== undefined) {
                 document.getElementById('show-hints').checked = settings.showHints;
             }
+            if (settings.artistCooldownGames !== undefined) {
+                document.getElementById('artist-cooldown').value = settings.artistCooldownGames;
+            }
+            if (settings.freshArtistsOnly !== undefined) {
+                document.getElementById('fresh-artists-only').checked = settings.freshArtistsOnly;
+            }
+            if (settings.controls !== undefined) {
+                document.getElementById('correct-keys').value = settings.controls.correctKeys;
+                document.getElementById('skip-keys').value = settings.controls.skipKeys;
+                document.getElementById('pause-keys').value = settings.controls.pauseKeys;
+                document.getElementById('swipe-controls').checked = settings.controls.swipe;
+                document.getElementById('tilt-controls').checked = settings.controls.tilt;
+            }
             console.log('Restored settings:', settings);
         }
     } catch (error) {
@@ -302,14 +503,19 @@ function saveState() {
     try {
         localStorage.setItem('savedTeams', JSON.stringify(teams));
         localStorage.setItem('savedPlaylists', JSON.stringify(selectedPlaylistIds));
+        localStorage.setItem('savedSourceMix', JSON.stringify(sourceMix));
 
         // Save game settings
         const settings = {
             roundDuration: parseInt(document.getElementById('round-duration').value),
             timeRange: document.getElementById('time-range').value,
+            featuredArtists: document.getElementById('featured-artists').value,
             minPopularity: parseInt(document.getElementById('min-popularity').value),
             gameMode: document.getElementById('game-mode').value,
-            showHints: document.getElementById('show-hints').checked
+            showHints: document.getElementById('show-hints').checked,
+            artistCooldownGames: parseInt(document.getElementById('artist-cooldown').value),
+            freshArtistsOnly: document.getElementById('fresh-artists-only').checked,
+            controls: getControlsSettings()
         };
         localStorage.setItem('savedSettings', JSON.stringify(settings));
     } catch (error) {
@@ -317,6 +523,19 @@ function saveState() {
     }
 }
 
+/**
+ * Read keyboard and gesture control settings from the Settings tab
+ */
+function getControlsSettings() {
+    return {
+        correctKeys: document.getElementById('correct-keys').value,
+        skipKeys: document.getElementById('skip-keys').value,
+        pauseKeys: document.getElementById('pause-keys').value,
+        swipe: document.getElementById('swipe-controls').checked,
+        tilt: document.getElementById('tilt-controls').checked
+    };
+}
+
 /**
  * Add a new team
  */
@@ -389,7 +608,13 @@ function renderTeams() {
         return;
     }
 
-    teamsList.innerHTML = teams.map(team => `
+    teamsList.innerHTML = teams.map(team => {
+        const memberProfiles = team.members
+            .map(member => findProfileByName(playerProfiles, member))
+            .filter(profile => profile);
+        const availableProfiles = playerProfiles.filter(profile => !memberProfiles.includes(profile));
+
+        return `
         <div class="team-row ${team.enabled === false ? 'disabled' : ''}" data-team-id="${team.id}">
             <button
                 class="btn-remove-inline"
@@ -407,15 +632,188 @@ function renderTeams() {
             <input
                 type="text"
                 class="team-members-input"
-                value="${team.members.join(', ')}"
+                value="${escapeHtml(team.members.join(', '))}"
                 oninput="updateTeamMembers('${team.id}', this.value)"
                 placeholder="Player names (e.g., Alice Bob or Alice, Bob)"
             />
+            <span class="team-avatars">
+                ${memberProfiles.map(profile => renderProfileAvatar(profile)).join('')}
+            </span>
+            ${availableProfiles.length > 0 ? `
+                <select class="team-profile-select" onchange="addProfileToTeam('${team.id}', this.value)" title="Add a saved player">
+                    <option value="">+ Player</option>
+                    ${availableProfiles.map(profile => `<option value="${escapeHtml(profile.id)}">${escapeHtml(profile.name)}</option>`).join('')}
+                </select>
+            ` : ''}
         </div>
-    `).join('');
+        `;
+    }).join('');
     updateReviewSummary();
 }
 
+/**
+ * Add a saved player profile to a team
+ */
+function addProfileToTeam(teamId, profileId) {
+    const team = teams.find(t => t.id === teamId);
+    const profile = playerProfiles.find(p => p.id === profileId);
+    if (team && profile && !team.members.some(member => findProfileByName([profile], member))) {
+        team.members.push(profile.name);
+    }
+    renderTeams();
+    updateStartButtonState();
+    saveState();
+}
+
+/**
+ * Load saved player profiles
+ */
+async function loadProfiles() {
+    try {
+        playerProfiles = await getProfiles();
+        console.log('Loaded player profiles:', playerProfiles.length);
+    } catch (error) {
+        console.error('Failed to load player profiles:', error);
+        playerProfiles = [];
+    }
+    renderTeams();
+}
+
+/**
+ * Render a player's avatar (initial on their colour)
+ */
+function renderProfileAvatar(profile) {
+    return `<span class="profile-avatar" style="background-color: ${getProfileColor(profile)};" title="${escapeHtml(profile.name)}">${escapeHtml(profile.name.charAt(0).toUpperCase())}</span>`;
+}
+
+/**
+ * Get a player's avatar colour, falling back to grey if it is not a #rrggbb colour
+ */
+function getProfileColor(profile) {
+    return /^#[0-9a-f]{6}$/i.test(profile.color) ? profile.color : '#888888';
+}
+
+/**
+ * Create a player profile from the History tab
+ */
+async function addProfile(name) {
+    if (!name.trim()) {
+        return;
+    }
+    if (findProfileByName(playerProfiles, name)) {
+        showStatus(`${name.trim()} already has a profile`, 'error');
+        return;
+    }
+
+    try {
+        await createProfile(name, playerProfiles);
+        document.getElementById('new-profile-name').value = '';
+        await loadHistory();
+        renderTeams();
+    } catch (error) {
+        console.error('Failed to create player profile:', error);
+        showStatus('Failed to create player', 'error');
+    }
+}
+
+/**
+ * Change a player's avatar colour
+ */
+async function changeProfileColor(profileId, color) {
+    const profile = playerProfiles.find(p => p.id === profileId);
+    if (!profile) return;
+
+    profile.color = color;
+    try {
+        await saveProfile(profile);
+        renderProfiles();
+        renderTeams();
+    } catch (error) {
+        console.error('Failed to save player profile:', error);
+        showStatus('Failed to save player', 'error');
+    }
+}
+
+/**
+ * Delete a player profile
+ */
+async function removeProfile(profileId) {
+    const profile = playerProfiles.find(p => p.id === profileId);
+    if (!profile || !confirm(`Delete ${profile.name}'s profile? Their games stay in the history.`)) {
+        return;
+    }
+
+    try {
+        await deleteProfile(profileId);
+        playerProfiles = playerProfiles.filter(p => p.id !== profileId);
+        renderProfiles();
+        renderTeams();
+    } catch (error) {
+        console.error('Failed to delete player profile:', error);
+        showStatus('Failed to delete player', 'error');
+    }
+}
+
+/**
+ * Render player profiles with their lifetime stats
+ */
+function renderProfiles() {
+    const profilesList = document.getElementById('profiles-list');
+
+    if (playerProfiles.length === 0) {
+        profilesList.innerHTML = '<div class="empty-state">No players yet. Players are saved when a game starts.</div>';
+        return;
+    }
+
+    const lifetimeStats = computeLifetimeStats(playerProfiles, gameHistory);
+    const formatArtists = artists => artists.map(a => `${escapeHtml(a.name)} (${a.count})`).join(', ') || '-';
+
+    profilesList.innerHTML = playerProfiles.map(profile => {
+        const stats = lifetimeStats[profile.id];
+
+        return `
+            <div class="profile-card" data-profile-id="${escapeHtml(profile.id)}">
+                <div class="profile-header">
+                    ${renderProfileAvatar(profile)}
+                    <span class="profile-name">${escapeHtml(profile.name)}</span>
+                    <input type="color" class="profile-color" value="${getProfileColor(profile)}" title="Avatar colour">
+                    <button class="btn-remove-inline" data-profile-action="remove" title="Delete player">×</button>
+                </div>
+                <div class="profile-stats">
+                    <div><strong>${stats.gamesPlayed}</strong><span>Games</span></div>
+                    <div><strong>${stats.winRate !== null ? Math.round(stats.winRate * 100) + '%' : '-'}</strong><span>Win rate</span></div>
+                    <div title="Individual rounds only"><strong>${stats.correctPerMinute !== null ? stats.correctPerMinute.toFixed(1) : '-'}</strong><span>Correct/min</span></div>
+                    <div><strong>${stats.bestStreak}</strong><span>Best streak</span></div>
+                    <div><strong>${stats.fastestGuess ? stats.fastestGuess.time.toFixed(1) + 's' : '-'}</strong><span>Fastest</span></div>
+                </div>
+                ${stats.fastestGuess ? `<p class="profile-artists">Fastest guess: ${escapeHtml(stats.fastestGuess.artistName)}</p>` : ''}
+                <p class="profile-artists">Most guessed: ${formatArtists(stats.mostGuessed)}</p>
+                <p class="profile-artists">Most skipped: ${formatArtists(stats.mostSkipped)}</p>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Link each team member to a player profile, creating profiles for new names
+ */
+async function linkTeamsToProfiles(gameTeams) {
+    try {
+        playerProfiles = await ensureProfiles(gameTeams.flatMap(team => team.members), playerProfiles);
+        return gameTeams.map(team => {
+            const profiles = {};
+            team.members.forEach(member => {
+                profiles[member] = findProfileByName(playerProfiles, member).id;
+            });
+            return { ...team, profiles };
+        });
+    } catch (error) {
+        // Profiles are nice to have - never block starting a game
+        console.error('Failed to link players to profiles:', error);
+        return gameTeams;
+    }
+}
+
 /**
  * Toggle team enabled/disabled
  */
@@ -464,14 +862,28 @@ async function loadPlaylists() {
         return;
     }
 
+    playlistsLoading.textContent = 'Loading playlists...';
     playlistsLoading.classList.remove('hidden');
     playlistsList.classList.add('hidden');
     playlistsEmpty.classList.add('hidden');
 
     try {
-        userPlaylists = await spotifyClient.getUserPlaylists();
+        // Liked Songs, top artists and related artists aren't playlists, but can be picked like one
+        const librarySources = await getLibrarySources();
+        const withLibrarySources = playlists => [...librarySources, ...playlists];
+
+        // Render each page as it arrives - people with hundreds of playlists can start picking right away
+        const playlists = await spotifyClient.getUserPlaylists((playlists, total) => {
+            userPlaylists = withLibrarySources(playlists);
+            playlistsLoading.textContent = `Loading playlists... (${playlists.length} of ${total})`;
+            renderPlaylists(playlistFilter ? playlistFilter.value : '');
+            renderSelectedPlaylists();
+            playlistsList.classList.remove('hidden');
+        });
+        userPlaylists = withLibrarySources(playlists);
+        console.log(`Loaded ${playlists.length} playlists`);
 
-        renderPlaylists();
+        renderPlaylists(playlistFilter ? playlistFilter.value : '');
         renderSelectedPlaylists();
         renderPreviouslyUsed();
         playlistsLoading.classList.add('hidden');
@@ -480,9 +892,7 @@ async function loadPlaylists() {
         console.error('Failed to load playlists:', error);
 
         // If refresh token is invalid/revoked, switch to anonymous mode
-        if (error.message.includes('refresh token') ||
-            error.message.includes('Not authenticated') ||
-            error.message.includes('revoked')) {
+        if (error instanceof SpotifyAuthError) {
             showStatus('Session expired. Switching to anonymous mode...', 'info');
             setTimeout(() => {
                 spotifyClient.logout();
@@ -493,10 +903,12 @@ async function loadPlaylists() {
 
         // Show specific error message
         let errorMsg = 'Could not load your playlists. ';
-        if (error.message.includes('401') || error.message.includes('Session expired')) {
-            errorMsg += 'Your session may have expired. Try logging out and back in.';
-        } else if (error.message.includes('403')) {
+        if (error.status === 403) {
             errorMsg += 'Permission denied. Please re-authorize the app.';
+        } else if (error instanceof SpotifyRateLimitError) {
+            errorMsg += 'Spotify is busy right now. Try again in a minute.';
+        } else if (error instanceof SpotifyNetworkError) {
+            errorMsg += 'Check your internet connection.';
         } else {
             errorMsg += 'Please try again later.';
         }
@@ -509,6 +921,68 @@ async function loadPlaylists() {
     }
 }
 
+/**
+ * Get the sources from the user's own library, shown above their playlists
+ */
+async function getLibrarySources() {
+    const librarySource = fields => ({
+        owner: 'You',
+        ownerId: null,
+        trackCount: 0,
+        image: null,
+        isLibrary: true,
+        ...fields
+    });
+
+    // Sources that need a counted probe are left out if they can't be read
+    const [likedSongsCount, recentlyPlayedCount, followedCount] = await Promise.all([
+        readLibraryCount('Liked Songs', () => spotifyClient.getLikedSongsCount()),
+        readLibraryCount('Recently played', () => spotifyClient.getRecentlyPlayedCount()),
+        readLibraryCount('Artists I follow', () => spotifyClient.getFollowedArtistsCount())
+    ]);
+
+    const sources = [];
+    if (likedSongsCount !== null) {
+        sources.push(librarySource({ id: LIKED_SONGS_SOURCE_ID, name: 'Liked Songs', trackCount: likedSongsCount }));
+    }
+    if (recentlyPlayedCount) {
+        sources.push(librarySource({ id: RECENTLY_PLAYED_SOURCE_ID, name: 'Recently played', trackCount: recentlyPlayedCount }));
+    }
+
+    // Artist sources have no tracks of their own, so they describe themselves instead
+    sources.push(
+        librarySource({ id: `${TOP_ARTISTS_SOURCE_PREFIX}short_term`, name: 'My Top Artists (4 weeks)', description: 'Your top 50 artists lately' }),
+        librarySource({ id: `${TOP_ARTISTS_SOURCE_PREFIX}medium_term`, name: 'My Top Artists (6 months)', description: 'Your top 50 artists this year' }),
+        librarySource({ id: `${TOP_ARTISTS_SOURCE_PREFIX}long_term`, name: 'My Top Artists (all time)', description: 'Your top 50 artists ever' }),
+        librarySource({ id: RELATED_ARTISTS_SOURCE_ID, name: 'Artists like my favourites', description: 'Related to your top 5 artists' })
+    );
+    if (followedCount) {
+        sources.push(librarySource({
+            id: FOLLOWED_ARTISTS_SOURCE_ID,
+            name: 'Artists I follow',
+            description: `${followedCount} artist${followedCount === 1 ? '' : 's'}`
+        }));
+    }
+
+    return sources;
+}
+
+/**
+ * Read the size of a library source, or null if it can't be read
+ */
+async function readLibraryCount(sourceName, readCount) {
+    try {
+        return await readCount();
+    } catch (error) {
+        if (error instanceof SpotifyAuthError) {
+            throw error;
+        }
+        // Sessions from before the source's scope was added need to log in again
+        console.warn(`${sourceName} unavailable:`, error);
+        return null;
+    }
+}
+
 /**
  * Filter playlists based on search query
  */
@@ -542,14 +1016,24 @@ function renderPlaylistsLoginPrompt() {
  */
 function renderPlaylists(filterQuery = '') {
     const query = filterQuery.toLowerCase();
+    const sortBy = document.getElementById('playlist-sort').value;
+    const ownerFilter = document.getElementById('playlist-owner-filter').value;
+
+    const sorters = {
+        tracks: (a, b) => b.trackCount - a.trackCount,  // Biggest first
+        name: (a, b) => a.name.localeCompare(b.name),
+        owner: (a, b) => (a.owner || '').localeCompare(b.owner || '') || a.name.localeCompare(b.name)
+    };
+    const sorter = sorters[sortBy] || sorters.tracks;
 
     const availablePlaylists = userPlaylists
         .filter(playlist => {
             const matchesFilter = playlist.name.toLowerCase().includes(query);
             const notSelected = !selectedPlaylistIds.includes(playlist.id);
-            return matchesFilter && notSelected;
+            return matchesFilter && notSelected && matchesOwnerFilter(playlist, ownerFilter);
         })
-        .sort((a, b) => b.trackCount - a.trackCount); // Sort by track count descending (biggest first)
+        // Library sources first, in their own order
+        .sort((a, b) => (b.isLibrary === true) - (a.isLibrary === true) || (a.isLibrary ? 0 : sorter(a, b)));
 
     if (availablePlaylists.length === 0) {
         playlistsList.innerHTML = '<div class="empty-state">No playlists found</div>';
@@ -560,7 +1044,7 @@ function renderPlaylists(filterQuery = '') {
         <div class="playlist-item">
             <div class="playlist-item-content">
                 <span class="playlist-name">${playlist.name}</span>
-                <span class="playlist-info">${playlist.trackCount} tracks</span>
+                <span class="playlist-info">${describeSource(playlist)}${currentUserId && !isOwnPlaylist(playlist) ? ` • by ${playlist.owner}` : ''}</span>
             </div>
             <button
                 class="btn-add-playlist"
@@ -572,6 +1056,31 @@ function renderPlaylists(filterQuery = '') {
     playlistsList.innerHTML = html;
 }
 
+/**
+ * Describe a source's size ("120 tracks"), or what it is for sources without tracks
+ */
+function describeSource(playlist) {
+    return playlist.description || `${playlist.trackCount} tracks`;
+}
+
+/**
+ * Check a playlist against the owner filter ('all', 'mine' or 'followed')
+ */
+function matchesOwnerFilter(playlist, ownerFilter) {
+    // Until we know who is logged in, everything counts as a match
+    if (ownerFilter === 'all' || !currentUserId) {
+        return true;
+    }
+    return ownerFilter === 'mine' ? isOwnPlaylist(playlist) : !isOwnPlaylist(playlist);
+}
+
+/**
+ * Check if a playlist belongs to the logged in user (Liked Songs always does)
+ */
+function isOwnPlaylist(playlist) {
+    return playlist.isLibrary === true || playlist.ownerId === currentUserId;
+}
+
 /**
  * Render selected playlists
  */
@@ -592,47 +1101,101 @@ function renderSelectedPlaylists() {
 
     // Render selected playlists in order
     selectedPlaylistIds.forEach(id => {
-        // Check user playlists first
-        const playlist = userPlaylists.find(p => p.id === id);
-        if (playlist) {
-            html += `
-                <div class="playlist-item">
-                    <div class="playlist-item-content">
-                        <span class="playlist-name">${playlist.name}</span>
-                        <span class="playlist-info">${playlist.trackCount} tracks</span>
-                    </div>
-                    <button
-                        class="btn-remove-playlist"
-                        onclick="removePlaylist('${playlist.id}')"
-                        title="Remove playlist"
-                    >×</button>
+        // Check user playlists (and magic sources) first, then previously used playlists
+        const playlist = userPlaylists.find(p => p.id === id) || findCatalogSource(id);
+        const prevPlaylist = playlist ? null : previouslyUsedPlaylists.find(p => p.id === id);
+        const source = playlist || prevPlaylist;
+        if (!source) return;
+
+        const info = prevPlaylist ? `${prevPlaylist.trackCount} tracks • by ${prevPlaylist.owner}` : describeSource(playlist);
+        html += `
+            <div class="playlist-item">
+                <div class="playlist-item-content">
+                    <span class="playlist-name">${source.name}</span>
+                    <span class="playlist-info">${info}</span>
                 </div>
-            `;
-        } else {
-            // Check previously used playlists
-            const prevPlaylist = previouslyUsedPlaylists.find(p => p.id === id);
-            if (prevPlaylist) {
-                html += `
-                    <div class="playlist-item">
-                        <div class="playlist-item-content">
-                            <span class="playlist-name">${prevPlaylist.name}</span>
-                            <span class="playlist-info">${prevPlaylist.trackCount} tracks • by ${prevPlaylist.owner}</span>
-                        </div>
-                        <button
-                            class="btn-remove-playlist"
-                            onclick="removePlaylist('${prevPlaylist.id}')"
-                            title="Remove playlist"
-                        >×</button>
-                    </div>
-                `;
-            }
-        }
+                ${renderSourceMixSelect(source.id)}
+                <button
+                    class="btn-remove-playlist"
+                    onclick="removePlaylist('${source.id}')"
+                    title="Remove playlist"
+                >×</button>
+            </div>
+        `;
     });
 
     selectedPlaylistsList.innerHTML = html;
     updateReviewSummary();
 }
 
+/**
+ * Render the weight/quota picker of a selected source
+ */
+function renderSourceMixSelect(sourceId) {
+    const mix = getSourceMix(sourceId);
+    const option = (value, label, selected) =>
+        `<option value="${value}"${selected ? ' selected' : ''}>${label}</option>`;
+
+    return `
+        <select class="source-mix-select" onchange="setSourceMix('${sourceId}', this.value)" title="How much of the game comes from this source">
+            <optgroup label="Share">
+                ${SOURCE_WEIGHTS.map(weight => option(`weight:${weight}`, `${weight}×`, mix.weight === weight)).join('')}
+            </optgroup>
+            <optgroup label="Exactly">
+                ${SOURCE_QUOTAS.map(quota => option(`quota:${quota}`, `${quota} artists`, mix.quota === quota)).join('')}
+            </optgroup>
+        </select>
+    `;
+}
+
+/**
+ * Get a source's weight or quota ({ weight } or { quota })
+ */
+function getSourceMix(sourceId) {
+    return sourceMix[sourceId] || { weight: 1 };
+}
+
+/**
+ * Set a source's weight or quota from a picker value ('weight:2' or 'quota:10')
+ */
+function setSourceMix(sourceId, value) {
+    const [kind, amount] = value.split(':');
+    if (kind === 'weight' && parseInt(amount) === 1) {
+        delete sourceMix[sourceId];  // The default
+    } else {
+        sourceMix[sourceId] = { [kind]: parseInt(amount) };
+    }
+    saveState();
+    renderPoolPreview();  // Re-mixes the previewed pool and updates the review
+}
+
+/**
+ * Describe how much of the game a source makes up ("40% of the mix", "exactly 10 artists")
+ */
+function describeSourceMix(sourceId) {
+    const mix = getSourceMix(sourceId);
+    if (mix.quota) {
+        return `exactly ${mix.quota} artists`;
+    }
+
+    const totalWeight = selectedPlaylistIds
+        .map(getSourceMix)
+        .reduce((sum, other) => sum + (other.weight || 0), 0);
+    const hasQuotas = selectedPlaylistIds.some(id => getSourceMix(id).quota);
+    return `${Math.round((mix.weight / totalWeight) * 100)}% of the ${hasQuotas ? 'rest' : 'mix'}`;
+}
+
+/**
+ * Describe a source's configured mix, plus the artists it gave the previewed pool if there is one
+ */
+function describeSourceMixResult(sourceId) {
+    const configured = describeSourceMix(sourceId);
+    if (!poolPreviewSourceCounts) {
+        return configured;
+    }
+    return `${configured}, ${poolPreviewSourceCounts[sourceId] || 0} of the first ${estimateArtistsNeeded()} in the preview`;
+}
+
 /**
  * Add playlist to selection
  */
@@ -653,6 +1216,8 @@ function addPlaylist(playlistId, playlistData = null) {
         renderPlaylists(currentFilter);
         renderSelectedPlaylists();
         renderPreviouslyUsed();
+        renderCatalogSources();
+        resetPoolPreview();
 
         // If filter resulted in empty view, clear it
         if (currentFilter && playlistsList.querySelector('.empty-state')) {
@@ -674,15 +1239,115 @@ function removePlaylist(playlistId) {
     const index = selectedPlaylistIds.indexOf(playlistId);
     if (index !== -1) {
         selectedPlaylistIds.splice(index, 1);
+        delete sourceMix[playlistId];
         const currentFilter = playlistFilter ? playlistFilter.value : '';
         renderPlaylists(currentFilter);
         renderSelectedPlaylists();
         renderPreviouslyUsed();
+        renderCatalogSources();
+        resetPoolPreview();
         saveState();
         console.log('Removed playlist:', playlistId);
     }
 }
 
+/**
+ * Find a playlist by ID among the user's, magic and previously used playlists
+ */
+function findPlaylist(playlistId) {
+    return userPlaylists.find(p => p.id === playlistId) ||
+        findCatalogSource(playlistId) ||
+        previouslyUsedPlaylists.find(p => p.id === playlistId) ||
+        null;
+}
+
+/**
+ * Find a magic source (registry playlist, decade or genre) by ID
+ */
+function findCatalogSource(sourceId) {
+    return magicSources.find(p => p.id === sourceId) || catalogSources.find(p => p.id === sourceId) || null;
+}
+
+/**
+ * Load the curated playlists from the magic playlists registry
+ */
+async function loadMagicSources() {
+    try {
+        const playlists = await loadMagicPlaylists();
+        magicSources = playlists.map(playlist => ({
+            id: playlist.id,
+            name: playlist.label,
+            owner: 'Spotify',
+            ownerId: null,
+            trackCount: 0,
+            description: playlist.region ? `Spotify ${playlist.category} • ${playlist.region}` : `Spotify ${playlist.category}`,
+            image: null,
+            category: playlist.category,
+            fallbackQuery: playlist.fallbackQuery
+        }));
+        console.log(`Loaded ${magicSources.length} magic sources`);
+    } catch (error) {
+        // Decades and genres still work without the registry
+        console.error('Failed to load magic sources:', error);
+        magicSources = [];
+    }
+
+    renderCatalogSources();
+    renderSelectedPlaylists();
+}
+
+/**
+ * Get the search queries that replace selected curated playlists if they disappear (playlistId -> query)
+ */
+function getSourceFallbacks() {
+    const fallbacks = {};
+    magicSources
+        .filter(source => selectedPlaylistIds.includes(source.id))
+        .forEach(source => {
+            fallbacks[source.id] = source.fallbackQuery;
+        });
+    return fallbacks;
+}
+
+/**
+ * Render the magic sources (registry playlists by category, decades, genres) that aren't selected yet
+ */
+function renderCatalogSources() {
+    const catalogSourcesList = document.getElementById('catalog-sources-list');
+    if (!catalogSourcesList) return;
+
+    const categories = [...new Set(magicSources.map(source => source.category))];
+    const groups = [
+        ...categories.map(category => ({
+            title: category,
+            sources: magicSources.filter(source => source.category === category)
+        })),
+        { title: 'Decades', sources: catalogSources.filter(source => source.id.startsWith(DECADE_SOURCE_PREFIX)) },
+        { title: 'Genres', sources: catalogSources.filter(source => source.id.startsWith(GENRE_SOURCE_PREFIX)) }
+    ];
+
+    catalogSourcesList.innerHTML = groups.map(group => {
+        const available = group.sources.filter(source => !selectedPlaylistIds.includes(source.id));
+
+        const items = available.length === 0
+            ? '<div class="catalog-group-empty">All added</div>'
+            : available.map(source => `
+                <div class="playlist-item">
+                    <div class="playlist-item-content">
+                        <span class="playlist-name">${source.name}</span>
+                        <span class="playlist-info">${describeSource(source)}</span>
+                    </div>
+                    <button
+                        class="btn-add-playlist"
+                        onclick="addPlaylist('${source.id}')"
+                    >Add</button>
+                </div>
+            `).join('');
+
+        return `<div class="catalog-group-title">${group.title}</div>${items}`;
+    }).join('');
+}
+
 /**
  * Search for playlists
  */
@@ -816,9 +1481,12 @@ function loadPreviouslyUsedPlaylists() {
 async function startGame() {
     const roundDuration = parseInt(document.getElementById('round-duration').value);
     const timeRange = document.getElementById('time-range').value;
+    const featuredArtists = document.getElementById('featured-artists').value;
     const minPopularity = parseInt(document.getElementById('min-popularity').value);
     const gameMode = document.getElementById('game-mode').value;
     const showHints = document.getElementById('show-hints').checked;
+    const artistCooldownGames = parseInt(document.getElementById('artist-cooldown').value);
+    const freshArtistsOnly = document.getElementById('fresh-artists-only').checked;
 
     // Validate authentication BEFORE navigating
     try {
@@ -835,10 +1503,12 @@ async function startGame() {
 
         // Show user-friendly error message
         let userMessage = error.message;
-        if (error.message.includes('server_error') || error.message.includes('Failed to remove token')) {
-            userMessage = 'Spotify is having temporary issues. Please try again in a moment.';
-        } else if (error.message.includes('Session expired') || error.message.includes('No refresh token')) {
+        if (error instanceof SpotifyAuthError) {
             userMessage = 'Your session has expired. Please log out and log back in.';
+        } else if (error instanceof SpotifyNetworkError) {
+            userMessage = 'Could not reach Spotify. Check your internet connection.';
+        } else if (error instanceof SpotifyError && error.status >= 500) {
+            userMessage = 'Spotify is having temporary issues. Please try again in a moment.';
         }
 
         showStatus(userMessage, 'error');
@@ -889,6 +1559,9 @@ async function startGame() {
         }
         console.log('No teams configured, using default setup');
     } else {
+        // Link players to their profiles so lifetime stats carry over between games
+        validTeams = await linkTeamsToProfiles(validTeams);
+
         // Warn if any teams were filtered out
         const filteredOutTeams = teams.filter(team =>
             team.enabled === false || team.members.length < 2
@@ -913,13 +1586,26 @@ async function startGame() {
     const totalGameSeconds = totalPlayerCount * roundDuration;
 
     const gameConfig = {
+        gameId: createGameId(),  // Identifies this game's checkpoint and history record
         teams: validTeams,
         playerDuration: roundDuration,  // Time per player (exactly what's in the setting)
         gameMode: gameMode,  // 'individual' or 'swap-places'
-        playlistIds: selectedPlaylistIds,  // Selected playlist IDs
+        playlistIds: selectedPlaylistIds,  // Selected playlist and library source IDs
+        sourceMix: sourceMix,  // sourceId -> { weight } or { quota } (weight 1 if missing)
+        sourceFallbacks: getSourceFallbacks(),  // Curated playlistId -> search query if it disappears
+        sources: selectedPlaylistIds.map(id => {
+            const playlist = findPlaylist(id);
+            return { id, name: playlist ? playlist.name : id };
+        }),
+        timeRange: timeRange,  // Top artists that "Artists like my favourites" are based on
+        featuredArtists: featuredArtists,  // 'primary', 'all' or 'if-leading' credited artists of tracks
         minPopularity: minPopularity,  // Filter out obscure artists
         minArtistsNeeded: totalGameSeconds,  // Minimum to avoid running out
-        showHints: showHints  // Show track name hints
+        showHints: showHints,  // Show track name hints
+        artistCooldownGames: artistCooldownGames,  // Play artists from this many recent games last
+        freshArtistsOnly: freshArtistsOnly,  // Leave out recently seen artists when possible
+        excludedArtistIds: excludedArtists.map(artist => artist.id),  // Struck out in the pool preview
+        controls: getControlsSettings()  // Keyboard/clicker keys, swipe and tilt
     };
 
     // Save to localStorage for the game page
@@ -930,6 +1616,220 @@ async function startGame() {
     window.location.href = 'game.html';
 }
 
+/**
+ * Estimate how many artists a game with the current teams needs (one per second of play)
+ */
+function estimateArtistsNeeded() {
+    const roundDuration = parseInt(document.getElementById('round-duration').value);
+    const validTeams = teams.filter(team => team.enabled !== false && team.members.length >= 2);
+
+    // Without teams the game falls back to two players
+    const playerCount = validTeams.length > 0
+        ? validTeams.reduce((sum, team) => sum + team.members.length, 0)
+        : 2;
+    return playerCount * roundDuration;
+}
+
+/**
+ * Fetch the selected sources and show the artist pool a game would get
+ */
+async function previewArtistPool() {
+    const previewButton = document.getElementById('preview-pool-button');
+    const poolSummary = document.getElementById('pool-preview-summary');
+
+    if (selectedPlaylistIds.length === 0) {
+        showStatus('Please select at least one source from the Sources tab', 'error');
+        return;
+    }
+
+    previewButton.disabled = true;
+    poolSummary.textContent = 'Loading artists...';
+
+    try {
+        const { artists, outcomes } = await spotifyClient.getArtistsFromSources(
+            selectedPlaylistIds,
+            progress => {
+                // Same split as the game's loading bar: tracks first, then artist details
+                const percent = (progress.stage === 'tracks' ? 0 : 50) + progress.percent / 2;
+                poolSummary.textContent = `Loading artists... ${Math.round(percent)}%`;
+            },
+            {
+                timeRange: document.getElementById('time-range').value,
+                featuredArtists: document.getElementById('featured-artists').value,
+                fallbacks: getSourceFallbacks(),
+                onSourceReplaced: (playlistId, replacement) => {
+                    const source = findPlaylist(playlistId);
+                    showStatus(`${source ? source.name : playlistId} is no longer available, using "${replacement.name}" instead`, 'info');
+                }
+            }
+        );
+        poolPreviewArtists = artists;
+        await loadPoolPreviewSeen();
+
+        // The pool is built from the sources that loaded - say which ones didn't
+        const failed = outcomes.filter(isFailedSourceOutcome);
+        if (failed.length > 0) {
+            showStatus(`Some sources didn't load: ${failed.map(outcome => {
+                const source = findPlaylist(outcome.sourceId);
+                return `${source ? source.name : outcome.sourceId} (${describeSourceOutcome(outcome)})`;
+            }).join(', ')}`, 'error');
+        }
+    } catch (error) {
+        console.error('Failed to preview artist pool:', error);
+        poolPreviewArtists = [];
+
+        let userMessage = `Could not load artists: ${error.message}`;
+        if (error instanceof SpotifyAuthError) {
+            userMessage = 'Your session has expired. Please log out and log back in.';
+        } else if (error instanceof SpotifyRateLimitError) {
+            userMessage = `Spotify is rate limiting requests. Try again in ${error.retryAfter} seconds.`;
+        } else if (error instanceof SpotifyNotFoundError) {
+            userMessage = 'One of the selected playlists could not be found. Remove it and try again.';
+        } else if (error instanceof SpotifyNetworkError) {
+            userMessage = 'Could not reach Spotify. Check your internet connection.';
+        }
+        showStatus(userMessage, 'error');
+        renderPoolPreview();
+    } finally {
+        previewButton.disabled = false;
+    }
+}
+
+/**
+ * Forget the previewed pool (the selected sources changed)
+ */
+function resetPoolPreview() {
+    poolPreviewArtists = [];
+    renderPoolPreview();
+}
+
+/**
+ * Load the artists of recent games for the previewed pool's cool-down, then render the preview
+ */
+async function loadPoolPreviewSeen() {
+    try {
+        poolPreviewSeen = await getRecentlySeenArtists(parseInt(document.getElementById('artist-cooldown').value));
+    } catch (error) {
+        // History is optional, as in the game
+        console.error('Failed to load recently seen artists:', error);
+        poolPreviewSeen = new Map();
+    }
+    renderPoolPreview();
+}
+
+/**
+ * Render the previewed pool as a grid, excluded artists struck out at the end
+ * The pool goes through the same cool-down and source mix as in the game; the grid stays
+ * sorted by popularity, with artists from recent games marked.
+ */
+function renderPoolPreview() {
+    const poolSummary = document.getElementById('pool-preview-summary');
+    const poolGrid = document.getElementById('pool-preview-grid');
+    const clearButton = document.getElementById('clear-exclusions-button');
+    if (!poolSummary || !poolGrid) return;
+
+    clearButton.textContent = `Clear exclusions (${excludedArtists.length})`;
+    clearButton.classList.toggle('hidden', excludedArtists.length === 0);
+
+    if (poolPreviewArtists.length === 0) {
+        poolPreviewSourceCounts = null;
+        updateReviewSummary();
+        poolSummary.textContent = 'Preview the artists your sources give before starting, and strike out any you don\'t want.';
+        poolGrid.innerHTML = '';
+        return;
+    }
+
+    const artistsNeeded = estimateArtistsNeeded();
+    const excludedIds = excludedArtists.map(artist => artist.id);
+    const pool = filterArtistPool(poolPreviewArtists, {
+        minPopularity: parseInt(document.getElementById('min-popularity').value),
+        artistsNeeded,
+        excludedArtistIds: excludedIds
+    });
+    const struckOut = poolPreviewArtists.filter(artist => excludedIds.includes(artist.id));
+
+    // The same cool-down and source mix as the game, on a shuffled copy
+    const shuffledPool = [...pool];
+    shuffleArray(shuffledPool);
+    const cooldown = applyArtistCooldown(shuffledPool, poolPreviewSeen, {
+        freshOnly: document.getElementById('fresh-artists-only').checked,
+        minNeeded: artistsNeeded
+    });
+    const mix = applySourceMix(cooldown.artists, {
+        sourceIds: selectedPlaylistIds,
+        sourceMix,
+        artistsNeeded
+    });
+    const gameArtistIds = new Set(mix.artists.map(artist => artist.id));
+
+    // Per-source counts for the review
+    poolPreviewSourceCounts = mix.counts;
+    updateReviewSummary();
+
+    const recentCount = pool.filter(artist => poolPreviewSeen.has(artist.id)).length;
+    const leftOutCount = pool.length - mix.artists.length;
+    let recentText = '';
+    if (leftOutCount > 0) {
+        recentText = `, ${leftOutCount} from recent games left out`;
+    } else if (recentCount > 0) {
+        recentText = `, ${recentCount} from recent games played last`;
+    }
+    const shortfall = mix.artists.length < artistsNeeded ? ` — ${artistsNeeded} needed, add sources or lower the popularity filter` : '';
+    poolSummary.textContent = `${mix.artists.length} artists in the pool${recentText}${struckOut.length > 0 ? `, ${struckOut.length} excluded` : ''}${shortfall}. Click an artist to exclude or restore them.`;
+
+    // Thumbnails are small, no need for the full-size photos
+    const thumbnailSize = getPreferredImageSize(72);
+    const renderArtist = (artist, excluded) => {
+        const recent = !excluded && poolPreviewSeen.has(artist.id);
+        let title = `${excluded ? 'Restore' : 'Exclude'} ${artist.name}`;
+        if (recent) {
+            title += gameArtistIds.has(artist.id) ? ' (in a recent game, played last)' : ' (in a recent game, left out)';
+        }
+
+        return `
+            <button
+                class="pool-artist${excluded ? ' excluded' : ''}${recent ? ' recent' : ''}"
+                data-artist-id="${escapeHtml(artist.id)}"
+                title="${escapeHtml(title)}"
+            >
+                ${artist.image ? `<img src="${escapeHtml(getArtistImageUrls(artist, thumbnailSize)[0])}" alt="" loading="lazy">` : '<div class="pool-artist-placeholder">?</div>'}
+                <span class="pool-artist-name">${escapeHtml(artist.name)}</span>
+            </button>
+        `;
+    };
+
+    poolGrid.innerHTML = pool.map(artist => renderArtist(artist, false)).join('') +
+        struckOut.map(artist => renderArtist(artist, true)).join('');
+}
+
+/**
+ * Exclude an artist from this and future games, or restore an excluded one
+ */
+function toggleArtistExclusion(artistId) {
+    if (excludedArtists.some(artist => artist.id === artistId)) {
+        excludedArtists = excludedArtists.filter(artist => artist.id !== artistId);
+    } else {
+        const artist = poolPreviewArtists.find(a => a.id === artistId);
+        if (!artist) return;
+        excludedArtists.push({ id: artist.id, name: artist.name, image: artist.image });
+        console.log('Excluded artist:', artist.name);
+    }
+    saveExcludedArtists(excludedArtists);
+    renderPoolPreview();
+}
+
+/**
+ * Restore all excluded artists
+ */
+function clearExcludedArtists() {
+    if (!confirm(`Restore all ${excludedArtists.length} excluded artists?`)) {
+        return;
+    }
+    excludedArtists = [];
+    saveExcludedArtists(excludedArtists);
+    renderPoolPreview();
+}
+
 /**
  * Show status message
  */
@@ -980,13 +1880,13 @@ function updateReviewSummary() {
         reviewSources.innerHTML = '<p style="color: #b3b3b3;">No sources selected</p>';
     } else {
         const sourcesHtml = selectedPlaylistIds.map(id => {
-            const playlist = userPlaylists.find(p => p.id === id);
+            const playlist = userPlaylists.find(p => p.id === id) || findCatalogSource(id);
             if (playlist) {
-                return `<p style="color: var(--text-color); margin-bottom: 8px;">• ${playlist.name} <span style="color: #b3b3b3;">(${playlist.trackCount} tracks)</span></p>`;
+                return `<p style="color: var(--text-color); margin-bottom: 8px;">• ${playlist.name} <span style="color: #b3b3b3;">(${describeSource(playlist)}) — ${describeSourceMixResult(id)}</span></p>`;
             }
             const prevPlaylist = previouslyUsedPlaylists.find(p => p.id === id);
             if (prevPlaylist) {
-                return `<p style="color: var(--text-color); margin-bottom: 8px;">• ${prevPlaylist.name} <span style="color: #b3b3b3;">(${prevPlaylist.trackCount} tracks)</span></p>`;
+                return `<p style="color: var(--text-color); margin-bottom: 8px;">• ${prevPlaylist.name} <span style="color: #b3b3b3;">(${prevPlaylist.trackCount} tracks) — ${describeSourceMixResult(id)}</span></p>`;
             }
             // Playlist not loaded yet - show loading state
             return `<p style="color: #b3b3b3; margin-bottom: 8px;">• Loading...</p>`;
@@ -1002,14 +1902,237 @@ function updateReviewSummary() {
     const gameModeText = gameMode === 'individual' ? 'Individual Rounds' : 'Swap Places (Team Round)';
     const hintsText = showHints ? 'Enabled' : 'Disabled';
 
+    const artistCooldownGames = parseInt(document.getElementById('artist-cooldown').value);
+    const freshArtistsOnly = document.getElementById('fresh-artists-only').checked;
+    let cooldownText = 'Off';
+    if (artistCooldownGames > 0) {
+        const gamesText = artistCooldownGames === 1 ? 'last game' : `last ${artistCooldownGames} games`;
+        cooldownText = freshArtistsOnly ? `Fresh only (${gamesText})` : `Recent last (${gamesText})`;
+    }
+
+    const featuredArtistsSelect = document.getElementById('featured-artists');
+    const featuredArtistsText = featuredArtistsSelect.options[featuredArtistsSelect.selectedIndex].text;
+
+    const controls = getControlsSettings();
+    const controlsText = ['Buttons', 'keyboard']
+        .concat(controls.swipe ? ['swipe'] : [])
+        .concat(controls.tilt ? ['tilt'] : [])
+        .join(', ');
+
     reviewSettings.innerHTML = `
         <p style="color: var(--text-color); margin-bottom: 8px;">• Time per player: <strong>${roundDuration}s</strong></p>
         <p style="color: var(--text-color); margin-bottom: 8px;">• Game mode: <strong>${gameModeText}</strong></p>
         <p style="color: var(--text-color); margin-bottom: 8px;">• Track hints: <strong>${hintsText}</strong></p>
+        <p style="color: var(--text-color); margin-bottom: 8px;">• Artist cool-down: <strong>${cooldownText}</strong></p>
+        <p style="color: var(--text-color); margin-bottom: 8px;">• Controls: <strong>${controlsText}</strong></p>
+        <p style="color: var(--text-color); margin-bottom: 8px;">• Featured artists: <strong>${featuredArtistsText}</strong></p>
         <p style="color: var(--text-color); margin-bottom: 8px;">• Difficulty: <strong>${minPopularity === '0' ? 'All artists' : 'Min popularity ' + minPopularity}</strong></p>
     `;
 }
 
+/**
+ * Load completed games from the local history
+ */
+async function loadHistory() {
+    const historyLoading = document.getElementById('history-loading');
+    historyLoading.classList.remove('hidden');
+
+    try {
+        gameHistory = await getGameHistory();
+        playerProfiles = await getProfiles();
+    } catch (error) {
+        console.error('Failed to load game history:', error);
+        showStatus('Could not load game history', 'error');
+        gameHistory = [];
+    }
+
+    historyLoading.classList.add('hidden');
+    renderProfiles();
+    renderHistory();
+}
+
+/**
+ * Render the list of past games
+ */
+function renderHistory() {
+    const historyList = document.getElementById('history-list');
+
+    if (gameHistory.length === 0) {
+        historyList.innerHTML = '<div class="empty-state">No games played yet</div>';
+        return;
+    }
+
+    historyList.innerHTML = gameHistory.map(game => {
+        const winner = game.teams[0];
+        const expanded = game.id === expandedHistoryGameId;
+
+        return `
+            <div class="history-item" data-game-id="${escapeHtml(game.id)}">
+                <div class="history-item-header" data-history-action="toggle">
+                    <span class="history-date">${new Date(game.endedAt).toLocaleString()}</span>
+                    <span class="history-winner">${winner ? `🏆 ${escapeHtml(winner.members.join(' & '))} (${winner.score})` : ''}</span>
+                </div>
+                ${expanded ? renderHistoryDetails(game) : ''}
+                <div class="history-item-actions">
+                    <button class="btn-secondary" data-history-action="export">Export</button>
+                    <button class="btn-secondary" data-history-action="delete">Delete</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Render leaderboard, highlights, sources and settings of a past game
+ */
+function renderHistoryDetails(game) {
+    const leaderboardHtml = game.teams.map((team, index) => `
+        <div class="score-item ${index === 0 ? 'winner' : ''}">
+            <span class="rank">${index + 1}.</span>
+            <span class="team-name">${escapeHtml(team.members.join(' & '))}</span>
+            <span class="score">${team.score}</span>
+        </div>
+    `).join('');
+
+    const fastest = game.highlights.fastestGuess;
+    const fastestHtml = fastest
+        ? `<p>• Fastest guess: <strong>${escapeHtml(fastest.player)}</strong> got ${escapeHtml(fastest.artist.name)} in ${fastest.time.toFixed(1)}s</p>
+           ${renderHistoryThumbnails([fastest.artist])}`
+        : '';
+
+    const streak = game.highlights.bestStreak;
+    const streakHtml = streak
+        ? `<p>• Best streak: <strong>${escapeHtml(streak.player)}</strong> with ${streak.count} in a row</p>
+           ${renderHistoryThumbnails(streak.artists)}`
+        : '';
+
+    const gameModeText = game.settings.gameMode === 'swap-places' ? 'Swap Places' : 'Individual Rounds';
+
+    return `
+        <div class="history-details">
+            ${leaderboardHtml}
+            <div class="summary-content">
+                ${fastestHtml}
+                ${streakHtml}
+                <p style="color: #b3b3b3;">• Sources: ${escapeHtml(game.sources.map(source => source.name).join(', ')) || 'none'}</p>
+                <p style="color: #b3b3b3;">• ${gameModeText}, ${game.settings.playerDuration}s per player</p>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Render small artist thumbnails for a history highlight
+ */
+function renderHistoryThumbnails(artists) {
+    return `
+        <div class="history-thumbnails">
+            ${artists.map(artist => `
+                <img src="${escapeHtml(artist.image || 'https://via.placeholder.com/48?text=No+Image')}" alt="${escapeHtml(artist.name)}" title="${escapeHtml(artist.name)}">
+            `).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Show or hide the details of a past game
+ */
+function toggleHistoryGame(gameId) {
+    expandedHistoryGameId = expandedHistoryGameId === gameId ? null : gameId;
+    renderHistory();
+}
+
+/**
+ * Export a past game as its game log
+ */
+async function exportHistoryGame(gameId) {
+    try {
+        const game = await getHistoryGame(gameId);
+        if (!game || !game.log) {
+            showStatus('This game has no log to export', 'error');
+            return;
+        }
+        downloadGameLogFile(game.log);
+    } catch (error) {
+        console.error('Failed to export game:', error);
+        showStatus('Failed to export game', 'error');
+    }
+}
+
+/**
+ * Delete a past game from the history
+ */
+async function deleteHistoryGame(gameId) {
+    if (!confirm('Delete this game from the history?')) {
+        return;
+    }
+
+    try {
+        await deleteGameFromHistory(gameId);
+        gameHistory = gameHistory.filter(game => game.id !== gameId);
+        renderHistory();
+        showStatus('Game deleted', 'success');
+    } catch (error) {
+        console.error('Failed to delete game:', error);
+        showStatus('Failed to delete game', 'error');
+    }
+}
+
+/**
+ * Import a downloaded game log file into the history
+ */
+async function importGameLog(file) {
+    try {
+        const log = parseGameLog(await file.text());
+        await saveGameToHistory(buildGameHistoryRecord(log));
+        expandedHistoryGameId = log.gameId;
+        await loadHistory();
+        showStatus('Game imported', 'success');
+    } catch (error) {
+        console.error('Failed to import game log:', error);
+        showStatus(`Import failed: ${error.message}`, 'error');
+    }
+}
+
+/**
+ * Show cached playlists and artists in the Settings tab
+ */
+async function renderCacheInspector() {
+    const cacheSummary = document.getElementById('cache-summary');
+    const cachePlaylists = document.getElementById('cache-playlists');
+
+    try {
+        const stats = await spotifyClient.cache.getStats();
+        const playlistText = stats.playlists.length === 1 ? 'playlist' : 'playlists';
+        cacheSummary.textContent = `${stats.playlists.length} ${playlistText} and ${stats.artistCount} artists cached`;
+
+        cachePlaylists.innerHTML = stats.playlists.map(playlist => `
+            <div class="cache-playlist">
+                <span class="playlist-name">${playlist.name || playlist.id}</span>
+                <span class="playlist-info">${playlist.artistCount} artists • ${new Date(playlist.cachedAt).toLocaleDateString()}</span>
+            </div>
+        `).join('');
+    } catch (error) {
+        console.error('Failed to read cache:', error);
+        cacheSummary.textContent = 'Cache unavailable in this browser';
+        cachePlaylists.innerHTML = '';
+    }
+}
+
+/**
+ * Remove all cached playlists and artists
+ */
+async function clearSpotifyCache() {
+    try {
+        await spotifyClient.cache.clear();
+        showStatus('Cache cleared', 'success');
+    } catch (error) {
+        console.error('Failed to clear cache:', error);
+        showStatus('Failed to clear cache', 'error');
+    }
+    renderCacheInspector();
+}
+
 /**
  * Switch between tabs
  */
@@ -1036,6 +2159,16 @@ function switchTab(tabName) {
     if (tabName === 'play') {
         updateReviewSummary();
     }
+
+    // Show what is cached when opening settings
+    if (tabName === 'settings') {
+        renderCacheInspector();
+    }
+
+    // Reload history so games finished in another tab show up
+    if (tabName === 'history') {
+        loadHistory();
+    }
 }
 
 /**
@@ -1067,7 +2200,9 @@ window.updateTeamMembers = updateTeamMembers;
 window.toggleTeam = toggleTeam;
 window.addPlaylist = addPlaylist;
 window.removePlaylist = removePlaylist;
+window.setSourceMix = setSourceMix;
 window.removePreviouslyUsed = removePreviouslyUsed;
 window.switchTab = switchTab;
 window.switchInnerTab = switchInnerTab;
 window.handleLogin = handleLogin;
+window.addProfileToTeam = addProfileToTeam;
@@ -12,25 +12,83 @@ let gameState = {
     currentArtistIndex: 0,
     scores: {}, // teamId -> score
     playerStats: {}, // playerId -> { correct, passed, fastestGuess, currentStreak, bestStreak, guesses: [] }
-    roundStartTime: null,
+    roundStartTime: null,  // performance.now() timestamps, like all in-round timing
     currentArtistStartTime: null,
-    timerInterval: null,
-    remainingTime: 0,
+    roundEndTime: null,  // performance.now() at which the round's time runs out
+    timerFrame: null,  // requestAnimationFrame id of the running timer
+    lastWholeSecond: null,  // Last whole second shown (for periodic checkpoints)
+    paused: false,
+    pausedAt: null,
+    remainingTime: 0,  // Seconds left, fractional while the timer runs
     initialRoundDuration: 0,  // Track the actual duration for this round (for progress bar)
     phase: 'ready',
+    resumeTime: null,  // Seconds left of an interrupted round, while its ready screen waits for Go
     overtime: false,  // True when time has run out but waiting for final guess
     hintTimeouts: [],  // Track hint timeouts to clear them
-    currentHintIndex: 0  // Track which hint to show next
+    scheduledHints: [],  // { time, track } for the current artist, time in ms after it was shown
+    currentHintIndex: 0,  // Track which hint to show next
+    teamComplete: false,  // True after the last round of the current team
+    undoStack: [],  // Snapshots taken before each Correct/Skip press in the current round
+    loadNotices: [],  // What the host should know about how artists loaded, shown until the first Go
+    eventLog: []  // Ordered log of everything that happened (see game-log.js)
 };
 
+// Checkpoint format version - bump when the saved state shape changes
+const CHECKPOINT_VERSION = 2;
+
+// Checkpoints older than this are considered stale
+const CHECKPOINT_MAX_AGE_MS = 12 * 60 * 60 * 1000;
+
+// Save a checkpoint every N seconds while a round is running
+const CHECKPOINT_INTERVAL_SECONDS = 5;
+
+// Maximum number of Correct/Skip presses that can be undone within a round
+const UNDO_HISTORY_SIZE = 10;
+
+// Controls used when the game config doesn't specify any (key names as in KeyboardEvent.key)
+// Presentation clickers send PageDown/PageUp or arrow keys, and B or "." for "blank screen"
+const DEFAULT_CONTROLS = {
+    correctKeys: 'ArrowRight, PageDown, Enter, Space',
+    skipKeys: 'ArrowLeft, PageUp',
+    pauseKeys: 'P, B, .',
+    swipe: true,
+    tilt: false
+};
+
+// Minimum horizontal swipe distance (px) on the artist image
+const SWIPE_MIN_DISTANCE = 60;
+
+// Gravity (m/s²) along the screen axis beyond which the phone counts as flipped up/down
+const TILT_TRIGGER_GRAVITY = 7;
+
+// The phone must come back below this before the next flip counts
+const TILT_NEUTRAL_GRAVITY = 4;
+
+// Parsed controls for this game (see setupControls)
+let controls = null;
+
+// Number of recently guessed artists shown on the scoreboard
+const SCOREBOARD_RECENT_ARTISTS = 8;
+
+// Channel for the second-screen scoreboard (scoreboard.html)
+const scoreboardChannel = 'BroadcastChannel' in window ? new BroadcastChannel('guess-the-artist-scoreboard') : null;
+
+// Cancels loading artists when leaving the page (see fetchArtists)
+let artistsLoadController = null;
+
 // Preloaded images cache
 const preloadedImages = new Map();
 
+// Image URLs of the artist on screen, tried in order while they fail to load
+let currentArtistImage = null;
+
 // DOM Elements
 const statusMessage = document.getElementById('status-message');
 
 // Phase elements
 const phaseError = document.getElementById('phase-error');
+const phaseResume = document.getElementById('phase-resume');
+const phaseSources = document.getElementById('phase-sources');
 const phaseReady = document.getElementById('phase-ready');
 const phasePlaying = document.getElementById('phase-playing');
 const phaseRoundDone = document.getElementById('phase-round-done');
@@ -41,7 +99,7 @@ const phaseGameOver = document.getElementById('phase-game-over');
  * Initialize game on page load
  */
 window.addEventListener('DOMContentLoaded', async () => {
-    spotifyClient = new SpotifyClient();
+    spotifyClient = new SpotifyClient(new SpotifyCache());
 
     // Load game config from localStorage
     const configJson = localStorage.getItem('gameConfig');
@@ -58,6 +116,49 @@ window.addEventListener('DOMContentLoaded', async () => {
     console.log('Number of teams in game:', gameConfig.teams.length);
     console.log('Teams:', gameConfig.teams.map(t => formatTeamName(t.members)).join(' | '));
 
+    // Save progress when the tab is hidden or closed (phone lock screen, tab discard)
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+            saveCheckpoint();
+        }
+    });
+    window.addEventListener('pagehide', saveCheckpoint);
+    window.addEventListener('pagehide', () => {
+        if (artistsLoadController) {
+            artistsLoadController.abort();
+        }
+    });
+
+    setupControls();
+
+    // A scoreboard opened mid-game asks for the current state
+    if (scoreboardChannel) {
+        scoreboardChannel.onmessage = (e) => {
+            if (e.data && e.data.type === 'hello') {
+                publishScoreboardEvent('state');
+            }
+        };
+    }
+
+    // Offer to resume an unfinished game from a previous page load
+    const checkpoint = loadCheckpoint();
+    if (checkpoint) {
+        showResumePhase(checkpoint);
+        return;
+    }
+
+    await startNewGame();
+});
+
+/**
+ * Set up a fresh game from the loaded config
+ */
+async function startNewGame() {
+    // Every fresh game gets its own id, so a reload or replay of the same config doesn't overwrite
+    // the previous game's history record (saved with the config so a reload can resume this game)
+    gameConfig.gameId = createGameId();
+    localStorage.setItem('gameConfig', JSON.stringify(gameConfig));
+
     // Randomize team order
     shuffleArray(gameConfig.teams);
 
@@ -93,11 +194,254 @@ window.addEventListener('DOMContentLoaded', async () => {
 
     // Start game only if artists were loaded successfully
     if (gameState.artists && gameState.artists.length > 0) {
+        logEvent('game-start', { teamOrder: gameConfig.teams.map(t => t.id) });
         showReadyPhase();
     } else {
         console.error('Cannot start game - no artists loaded');
     }
-});
+}
+
+/**
+ * Save a checkpoint of the game so it can be resumed after a reload or crash
+ */
+function saveCheckpoint() {
+    // Nothing worth saving until artists are loaded, and a finished game is not resumable
+    if (!gameConfig || gameState.artists.length === 0 || gameState.phase === 'game-over') {
+        return;
+    }
+
+    try {
+        const checkpoint = {
+            version: CHECKPOINT_VERSION,
+            gameId: gameConfig.gameId,
+            savedAt: Date.now(),
+            teams: gameConfig.teams,  // Shuffled team and player order
+            state: {
+                artists: gameState.artists,
+                currentTeamIndex: gameState.currentTeamIndex,
+                currentPlayerIndex: gameState.currentPlayerIndex,
+                currentArtistIndex: gameState.currentArtistIndex,
+                scores: gameState.scores,
+                playerStats: gameState.playerStats,
+                phase: gameState.phase,
+                resumeTime: gameState.resumeTime,
+                teamComplete: gameState.teamComplete,
+                remainingTime: gameState.remainingTime,
+                initialRoundDuration: gameState.initialRoundDuration,
+                overtime: gameState.overtime,
+                eventLog: gameState.eventLog
+            }
+        };
+        localStorage.setItem('gameCheckpoint', JSON.stringify(checkpoint));
+    } catch (error) {
+        console.error('Failed to save checkpoint:', error);
+    }
+}
+
+/**
+ * Load the saved checkpoint if it belongs to the current game
+ * Stale or incompatible checkpoints are discarded
+ */
+function loadCheckpoint() {
+    const checkpointJson = localStorage.getItem('gameCheckpoint');
+    if (!checkpointJson) {
+        return null;
+    }
+
+    try {
+        const checkpoint = JSON.parse(checkpointJson);
+        const state = checkpoint.state;
+
+        let reason = null;
+        if (checkpoint.version !== CHECKPOINT_VERSION) {
+            reason = `incompatible version ${checkpoint.version} (expected ${CHECKPOINT_VERSION})`;
+        } else if (!gameConfig.gameId || checkpoint.gameId !== gameConfig.gameId) {
+            reason = 'belongs to a different game';
+        } else if (Date.now() - checkpoint.savedAt > CHECKPOINT_MAX_AGE_MS) {
+            reason = 'too old';
+        } else if (!state || !Array.isArray(state.artists) || state.artists.length === 0) {
+            reason = 'no artists saved';
+        } else if (!sameTeams(checkpoint.teams, gameConfig.teams)) {
+            reason = 'teams do not match game config';
+        } else if (state.phase === 'game-over') {
+            reason = 'game already finished';
+        }
+
+        if (reason) {
+            console.log(`Discarding checkpoint: ${reason}`);
+            clearCheckpoint();
+            return null;
+        }
+
+        return checkpoint;
+    } catch (error) {
+        console.error('Failed to load checkpoint:', error);
+        clearCheckpoint();
+        return null;
+    }
+}
+
+/**
+ * Check that two team lists contain the same teams and members (order ignored)
+ */
+function sameTeams(teamsA, teamsB) {
+    if (!Array.isArray(teamsA) || !Array.isArray(teamsB) || teamsA.length !== teamsB.length) {
+        return false;
+    }
+    const key = team => `${team.id}:${[...team.members].sort().join(',')}`;
+    const keysA = teamsA.map(key).sort();
+    const keysB = teamsB.map(key).sort();
+    return keysA.every((k, i) => k === keysB[i]);
+}
+
+/**
+ * Remove the saved checkpoint
+ */
+function clearCheckpoint() {
+    localStorage.removeItem('gameCheckpoint');
+}
+
+/**
+ * Show resume prompt for an unfinished game
+ */
+function showResumePhase(checkpoint) {
+    hideAllPhases();
+    phaseResume.classList.remove('hidden');
+
+    const minutesAgo = Math.round((Date.now() - checkpoint.savedAt) / 60000);
+    const savedText = minutesAgo < 1 ? 'just now' : `${minutesAgo} min ago`;
+    const team = checkpoint.teams[checkpoint.state.currentTeamIndex];
+    document.getElementById('resume-info').textContent =
+        `Saved ${savedText} • ${formatTeamName(team.members)} up next`;
+
+    document.getElementById('resume-scores').innerHTML = checkpoint.teams.map(t => `
+        <div class="score-item">
+            <span class="team-name">${formatTeamName(t.members)}</span>
+            <span class="score">${checkpoint.state.scores[t.id] || 0}</span>
+        </div>
+    `).join('');
+
+    document.getElementById('resume-button').onclick = () => resumeFromCheckpoint(checkpoint);
+    document.getElementById('discard-resume-button').onclick = async () => {
+        clearCheckpoint();
+        hideAllPhases();
+        await startNewGame();
+    };
+}
+
+/**
+ * Restore game state from a checkpoint and continue where it left off
+ */
+function resumeFromCheckpoint(checkpoint) {
+    const state = checkpoint.state;
+
+    gameConfig.teams = checkpoint.teams;
+    gameState.artists = state.artists;
+    gameState.currentTeamIndex = state.currentTeamIndex;
+    gameState.currentPlayerIndex = state.currentPlayerIndex;
+    gameState.currentArtistIndex = state.currentArtistIndex;
+    gameState.scores = state.scores;
+    gameState.playerStats = state.playerStats;
+    gameState.teamComplete = state.teamComplete;
+    gameState.remainingTime = state.remainingTime;
+    gameState.initialRoundDuration = state.initialRoundDuration;
+    gameState.overtime = state.overtime;
+    gameState.eventLog = state.eventLog;
+
+    console.log('Resuming game from checkpoint:', state.phase);
+
+    switch (state.phase) {
+        case 'playing':
+            // Interrupted mid-round: let the player get ready, then continue with the time left
+            showReadyPhase(Math.max(0, state.remainingTime));
+            break;
+        case 'ready':
+            // Reloaded on the ready screen of an interrupted round: keep its time left
+            showReadyPhase(state.resumeTime != null ? state.resumeTime : null);
+            break;
+        case 'round-done':
+            if (gameState.teamComplete) {
+                showTeamDone();
+            } else {
+                showReadyPhase();
+            }
+            break;
+        default:
+            // 'ready' and 'team-done' both continue with the ready screen of the next player
+            showReadyPhase();
+    }
+}
+
+/**
+ * Append an event to the game log, tagged with the current team and player
+ */
+function logEvent(type, details = {}) {
+    const team = gameConfig.teams[gameState.currentTeamIndex];
+    const player = team ? team.members[gameState.currentPlayerIndex] : null;
+
+    const event = {
+        seq: gameState.eventLog.length + 1,
+        type,
+        at: Date.now(),
+        teamId: team ? team.id : null,
+        playerId: team ? `${team.id}-${player}` : null,
+        ...details
+    };
+    gameState.eventLog.push(event);
+    return event;
+}
+
+/**
+ * Download the game log as a JSON file
+ */
+function downloadGameLog() {
+    downloadGameLogFile(buildGameLog(gameConfig, gameState.eventLog, gameState.artists));
+}
+
+/**
+ * Publish a game event to the second-screen scoreboard
+ * Never includes the artist currently being guessed
+ */
+function publishScoreboardEvent(type) {
+    if (!scoreboardChannel || !gameConfig) return;
+
+    const team = gameConfig.teams[gameState.currentTeamIndex];
+    const running = gameState.phase === 'playing' && !gameState.paused && !gameState.overtime && gameState.timerFrame !== null;
+
+    // Correctly guessed artists, most recent first (undo removes them again)
+    const recentArtists = Object.values(gameState.playerStats)
+        .flatMap(stats => stats.guesses)
+        .filter(guess => guess.wasCorrect)
+        .sort((a, b) => (b.guessedAt || 0) - (a.guessedAt || 0))
+        .slice(0, SCOREBOARD_RECENT_ARTISTS)
+        .map(guess => ({ name: guess.artist.name, image: guess.artist.image }));
+
+    try {
+        scoreboardChannel.postMessage({
+            type,
+            state: {
+                phase: gameState.phase,
+                gameMode: gameConfig.gameMode,
+                teams: gameConfig.teams.map(t => ({
+                    id: t.id,
+                    name: formatTeamName(t.members),
+                    score: gameState.scores[t.id] || 0
+                })),
+                currentTeamId: team ? team.id : null,
+                currentPlayer: team && gameConfig.gameMode !== 'swap-places' ? team.members[gameState.currentPlayerIndex] : null,
+                paused: gameState.paused,
+                overtime: gameState.overtime,
+                remainingTime: gameState.remainingTime,
+                initialRoundDuration: gameState.initialRoundDuration,
+                // Wall-clock end of the round, comparable across windows
+                roundEndsAt: running ? performance.timeOrigin + gameState.roundEndTime : null,
+                recentArtists
+            }
+        });
+    } catch (error) {
+        console.error('Failed to publish scoreboard event:', error);
+    }
+}
 
 /**
  * Format team name from member list
@@ -134,79 +478,87 @@ function formatTeammates(allMembers, currentPlayer) {
  */
 async function fetchArtists() {
     try {
-        const artistsMap = new Map();
-
         // Fetch artists from playlists
         console.log('Fetching artists from playlists...', gameConfig.playlistIds);
         const progressCallback = (progress) => {
-            // Calculate overall progress across all playlists
-            // Formula: (current_playlist_index + stage_progress) / total_playlists
-            const playlistIndex = progress.playlistNum - 1; // Convert to 0-based
-            const stageProgress = progress.percent / 100; // Convert to 0.0-1.0
-            const stageOffset = progress.stage === 'tracks' ? 0 : 0.5; // tracks = first half, artists = second half
-
-            const overallProgress = ((playlistIndex + stageOffset + (stageProgress * 0.5)) / progress.totalPlaylists) * 100;
+            // Track pages fill the first half of the bar, artist details the second half
+            const stageOffset = progress.stage === 'tracks' ? 0 : 50;
 
             showStatus(
                 '', // No text, just progress bar
                 'info',
-                Math.round(overallProgress)
+                Math.round(stageOffset + progress.percent / 2)
             );
         };
-        const artists = await spotifyClient.getArtistsFromPlaylists(gameConfig.playlistIds, progressCallback);
-        console.log(`Got ${artists.length} artists from playlists`);
-        artists.forEach(artist => artistsMap.set(artist.id, artist));
 
-        // Convert to array
-        let allArtists = Array.from(artistsMap.values());
-        console.log(`Fetched ${allArtists.length} unique artists from all sources`);
+        // Curated playlists that had to be replaced by a search result
+        const replacedSources = [];
+        const onSourceReplaced = (playlistId, replacement) => {
+            replacedSources.push(`${getSourceName(playlistId)} → "${replacement.name}"`);
+        };
 
-        showStatus('Processing artists...', 'info');
+        let { artists, outcomes } = await loadArtistsFromSources(gameConfig.playlistIds, progressCallback, onSourceReplaced);
 
-        // Filter out artists without images (broken/missing photos)
-        const beforeImageFilter = allArtists.length;
-        allArtists = allArtists.filter(artist => {
-            return artist.image && artist.image.trim() !== '';
-        });
-        if (beforeImageFilter > allArtists.length) {
-            console.log(`Image filter: ${beforeImageFilter} → ${allArtists.length} artists (removed ${beforeImageFilter - allArtists.length} without images)`);
-        }
+        // Sources that failed don't stop the game - the host decides whether to go on without them
+        let failedOutcomes = outcomes.filter(isFailedSourceOutcome);
+        while (failedOutcomes.length > 0) {
+            const choice = await showSourcesPhase(outcomes, artists.length);
+            hideAllPhases();
 
-        // Filter by minimum popularity if set
-        const minPopularity = gameConfig.minPopularity || 0;
-        if (minPopularity > 0) {
-            const beforeFilter = allArtists.length;
-            allArtists = allArtists.filter(artist => {
-                const popularity = artist.popularity || 0;
-                return popularity >= minPopularity;
-            });
-            console.log(`Popularity filter: ${beforeFilter} → ${allArtists.length} artists (min popularity: ${minPopularity})`);
+            if (choice === 'back') {
+                window.location.href = 'index.html';
+                return;
+            }
+            if (choice === 'continue') {
+                break;
+            }
+
+            // Retry just the sources that failed and merge in what they return
+            const retry = await loadArtistsFromSources(
+                failedOutcomes.map(outcome => outcome.sourceId),
+                progressCallback,
+                onSourceReplaced
+            );
+            artists = mergeSourceArtists(artists, retry.artists);
+            outcomes = outcomes.map(outcome =>
+                retry.outcomes.find(retried => retried.sourceId === outcome.sourceId) || outcome
+            );
+            failedOutcomes = outcomes.filter(isFailedSourceOutcome);
         }
 
+        let allArtists = artists;
+        console.log(`Fetched ${allArtists.length} unique artists from all sources`);
+
+        showStatus('Processing artists...', 'info');
+
         // Calculate artists needed (total game seconds)
         const artistsNeeded = gameConfig.minArtistsNeeded ||
             (gameConfig.totalTimePerTeam * gameConfig.teams.length);
+        const minPopularity = gameConfig.minPopularity || 0;
 
-        console.log(`Game duration: ${artistsNeeded}s (artists needed), available: ${allArtists.length}`);
-
-        // Improved artist selection to avoid repetition across games
-        if (allArtists.length > artistsNeeded) {
-            // Sort by popularity
-            allArtists.sort((a, b) => (b.popularity || 0) - (a.popularity || 0));
-
-            // Calculate how many artists to keep
-            const remaining = allArtists.length - artistsNeeded;
-            const bottomTwentyPercent = Math.floor(remaining * 0.2);
-            const artistsToKeep = allArtists.length - bottomTwentyPercent;
+        console.log(`Game duration: ${artistsNeeded}s (artists needed), fetched: ${allArtists.length}`);
 
-            // Remove the bottom 20% of excess artists (keeps top 80% + all needed)
-            allArtists = allArtists.slice(0, artistsToKeep);
-            console.log(`Artist pool: kept ${artistsToKeep} artists (removed bottom ${bottomTwentyPercent} least popular from ${allArtists.length + bottomTwentyPercent} total)`);
-        }
+        // Same filtering as the pool preview on the setup page
+        allArtists = filterArtistPool(allArtists, {
+            minPopularity,
+            artistsNeeded,
+            excludedArtistIds: gameConfig.excludedArtistIds || []
+        });
 
         // Shuffle ALL remaining artists - this provides variety across games
         shuffleArray(allArtists);
-        gameState.artists = allArtists;
+
+        // Play artists that weren't in recent games first - before the mix, so each source's
+        // quota and share are filled with its fresh artists before its recently seen ones
+        const cooldown = await applyGameArtistCooldown(allArtists);
+
+        // Interleave sources by their weights and quotas so small sources aren't drowned out
+        const mix = applySourceMix(cooldown.artists, {
+            sourceIds: gameConfig.playlistIds || [],
+            sourceMix: gameConfig.sourceMix || {},
+            artistsNeeded
+        });
+        gameState.artists = mix.artists;
 
         console.log(`Final artist pool: ${gameState.artists.length} artists (shuffled and ready)`);
 
@@ -219,6 +571,7 @@ async function fetchArtists() {
                 artistsNeeded: artistsNeeded,
                 minPopularity: gameConfig.minPopularity,
                 playlistIds: gameConfig.playlistIds,
+                sources: outcomes.map(({ sourceId, status, artistCount }) => ({ sourceId, status, artistCount })),
                 teams: gameConfig.teams.length,
                 playerDuration: gameConfig.playerDuration
             };
@@ -231,25 +584,163 @@ async function fetchArtists() {
             return;
         }
 
+        // The status message is hidden once the ready screen shows, so these go there instead
+        gameState.loadNotices = [];
+        if (failedOutcomes.length > 0) {
+            gameState.loadNotices.push(`Skipped sources that failed: ${failedOutcomes.map(outcome => getSourceName(outcome.sourceId)).join(', ')}`);
+        }
+        if (replacedSources.length > 0) {
+            gameState.loadNotices.push(`Unavailable playlists were replaced: ${replacedSources.join(', ')}`);
+        }
+        if (cooldown.recentlySeenAdded > 0) {
+            gameState.loadNotices.push(`Not enough fresh artists, so ${cooldown.recentlySeenAdded} from recent games were added`);
+        }
+
         if (minPopularity > 0) {
             showStatus(`Artists loaded! (filtered by popularity ≥ ${minPopularity})`, 'success');
         } else {
             showStatus('Artists loaded!', 'success');
         }
     } catch (error) {
+        if (error.name === 'AbortError') {
+            console.log('Loading artists was cancelled');
+            return;
+        }
+
         console.error('Failed to fetch artists:', error);
-        showStatus(`Failed to load artists: ${error.message}`, 'error');
+
+        let userMessage = `Failed to load artists: ${error.message}`;
+        if (error instanceof SpotifyAuthError) {
+            userMessage = 'Your Spotify session has expired. Go back, log out and log in again.';
+        } else if (error instanceof SpotifyRateLimitError) {
+            userMessage = `Spotify is rate limiting requests. Try again in ${error.retryAfter} seconds.`;
+        } else if (error instanceof SpotifyNotFoundError) {
+            userMessage = 'One of the selected playlists could not be found. Remove it and try again.';
+        } else if (error instanceof SpotifyNetworkError) {
+            userMessage = 'Could not reach Spotify. Check your internet connection.';
+        }
+        showStatus(userMessage, 'error');
+    }
+}
+
+/**
+ * Load artists from the given sources, with the cancel button shown while it runs
+ * Returns { artists, outcomes } as getArtistsFromSources does
+ */
+async function loadArtistsFromSources(sourceIds, progressCallback, onSourceReplaced) {
+    // Loading can be cancelled with "Back to Setup" while it runs
+    artistsLoadController = new AbortController();
+    const cancelButton = document.getElementById('cancel-loading-button');
+    cancelButton.onclick = cancelLoadingArtists;
+    cancelButton.classList.remove('hidden');
+
+    try {
+        const result = await spotifyClient.getArtistsFromSources(sourceIds, progressCallback, {
+            signal: artistsLoadController.signal,
+            timeRange: gameConfig.timeRange,
+            featuredArtists: gameConfig.featuredArtists,
+            fallbacks: gameConfig.sourceFallbacks || {},
+            onSourceReplaced
+        });
+        console.log(`Got ${result.artists.length} artists from ${sourceIds.length} sources`);
+        return result;
+    } finally {
+        artistsLoadController = null;
+        cancelButton.classList.add('hidden');
     }
 }
 
 /**
- * Shuffle array in place
+ * Add artists from a retry to those already loaded, merging the sources of artists found in both
+ */
+function mergeSourceArtists(artists, moreArtists) {
+    const artistsMap = new Map(artists.map(artist => [artist.id, artist]));
+
+    moreArtists.forEach(artist => {
+        const existing = artistsMap.get(artist.id);
+        if (existing) {
+            const sources = new Set([...(existing.sources || []), ...(artist.sources || [])]);
+            artistsMap.set(artist.id, { ...existing, sources: [...sources] });
+        } else {
+            artistsMap.set(artist.id, artist);
+        }
+    });
+
+    return Array.from(artistsMap.values());
+}
+
+/**
+ * Get the display name of a source from the game config
+ */
+function getSourceName(sourceId) {
+    const source = (gameConfig.sources || []).find(s => s.id === sourceId);
+    return source ? source.name : sourceId;
+}
+
+/**
+ * Show how each source loaded and let the host continue, retry the failed ones or go back
+ * Resolves with 'continue', 'retry' or 'back'
  */
-function shuffleArray(array) {
-    for (let i = array.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [array[i], array[j]] = [array[j], array[i]];
+function showSourcesPhase(outcomes, artistCount) {
+    hideAllPhases();
+    statusMessage.classList.add('hidden');
+    phaseSources.classList.remove('hidden');
+
+    const failedCount = outcomes.filter(isFailedSourceOutcome).length;
+    document.getElementById('sources-info').textContent =
+        `${failedCount} of ${outcomes.length} sources failed to load`;
+
+    document.getElementById('source-outcomes').innerHTML = outcomes.map(outcome => `
+        <div class="source-outcome ${isFailedSourceOutcome(outcome) ? 'failed' : ''}">
+            <span class="source-name">${escapeHtml(getSourceName(outcome.sourceId))}</span>
+            <span class="source-status">${escapeHtml(describeSourceOutcome(outcome))}</span>
+        </div>
+    `).join('');
+
+    const continueButton = document.getElementById('sources-continue-button');
+    continueButton.textContent = `Continue with ${artistCount} artists`;
+    continueButton.disabled = artistCount === 0;
+
+    return new Promise(resolve => {
+        continueButton.onclick = () => resolve('continue');
+        document.getElementById('sources-retry-button').onclick = () => resolve('retry');
+        document.getElementById('sources-back-button').onclick = () => resolve('back');
+    });
+}
+
+/**
+ * Stop loading artists and go back to the setup page
+ */
+function cancelLoadingArtists() {
+    if (artistsLoadController) {
+        artistsLoadController.abort();
+    }
+    window.location.href = 'index.html';
+}
+
+/**
+ * Put artists seen in recent games last, or leave them out with "fresh artists only"
+ * Returns { artists, recentlySeenAdded } (see applyArtistCooldown)
+ */
+async function applyGameArtistCooldown(artists) {
+    const cooldownGames = gameConfig.artistCooldownGames || 0;
+    if (cooldownGames === 0) {
+        return { artists, recentlySeenAdded: 0 };
     }
+
+    let seen;
+    try {
+        seen = await getRecentlySeenArtists(cooldownGames);
+    } catch (error) {
+        // History is optional - play with the plain shuffled pool
+        console.error('Failed to load recently seen artists:', error);
+        return { artists, recentlySeenAdded: 0 };
+    }
+
+    return applyArtistCooldown(artists, seen, {
+        freshOnly: gameConfig.freshArtistsOnly,
+        minNeeded: gameConfig.minArtistsNeeded || 20
+    });
 }
 
 /**
@@ -264,20 +755,34 @@ function preloadImages(startIndex, count = 5) {
         const artist = gameState.artists[index];
 
         // Safety check: ensure artist exists
-        if (artist && artist.image && !preloadedImages.has(artist.id)) {
-            const img = new Image();
-            img.src = artist.image;
-            preloadedImages.set(artist.id, img);
+        if (artist && !preloadedImages.has(artist.id)) {
+            const [url] = getPlayImageUrls(artist);
+            if (url) {
+                const img = new Image();
+                img.src = url;
+                preloadedImages.set(artist.id, img);
+            }
         }
     }
 }
 
+/**
+ * Get the image URLs to try for an artist during play, sized for the screen and connection
+ */
+function getPlayImageUrls(artist) {
+    // Artist photos are roughly square and fill the width or height of the screen
+    const displaySize = Math.min(window.innerWidth, window.innerHeight);
+    return getArtistImageUrls(artist, getPreferredImageSize(displaySize));
+}
+
 /**
  * Show ready phase
+ * @param {number|null} resumeTime - Seconds left when resuming an interrupted round
  */
-function showReadyPhase() {
+function showReadyPhase(resumeTime = null) {
     hideAllPhases();
     phaseReady.classList.remove('hidden');
+    gameState.phase = 'ready';
 
     // Clear any lingering status messages
     statusMessage.classList.add('hidden');
@@ -301,25 +806,54 @@ function showReadyPhase() {
         document.getElementById('ready-duration').textContent = gameConfig.playerDuration;
     }
 
+    // Resuming an interrupted round: remember its time left so a reload here resumes again
+    // (the phase stays 'ready' so controls do nothing until Go is pressed)
+    gameState.resumeTime = resumeTime;
+    if (resumeTime !== null) {
+        document.getElementById('ready-duration').textContent = Math.ceil(resumeTime);
+    }
+
+    renderLoadNotices();
+
     // Preload first batch of images
     preloadImages(gameState.currentArtistIndex, 5);
 
+    saveCheckpoint();
+
     // Setup go button
     const goButton = document.getElementById('go-button');
-    goButton.onclick = startRound;
+    goButton.onclick = () => startRound(resumeTime);
+}
+
+/**
+ * Show the notices about how artists loaded on the ready screen
+ */
+function renderLoadNotices() {
+    const noticesList = document.getElementById('ready-notices');
+    noticesList.innerHTML = gameState.loadNotices.map(notice => `<li>${escapeHtml(notice)}</li>`).join('');
+    noticesList.classList.toggle('hidden', gameState.loadNotices.length === 0);
 }
 
 /**
  * Start a round
+ * @param {number|null} resumeTime - Seconds left when resuming an interrupted round
  */
-function startRound() {
+function startRound(resumeTime = null) {
     hideAllPhases();
     phasePlaying.classList.remove('hidden');
+    gameState.phase = 'playing';
+    gameState.resumeTime = null;
+    gameState.loadNotices = [];
 
     const team = gameConfig.teams[gameState.currentTeamIndex];
+    const player = team.members[gameState.currentPlayerIndex];
+    const playerId = `${team.id}-${player}`;
 
     // Reset round state
-    if (gameConfig.gameMode === 'swap-places') {
+    if (resumeTime !== null) {
+        // Resumed round: keep initialRoundDuration and streak from the checkpoint
+        gameState.remainingTime = resumeTime;
+    } else if (gameConfig.gameMode === 'swap-places') {
         // Swap Places mode: use total team duration
         gameState.remainingTime = gameConfig.playerDuration * team.members.length;
         gameState.initialRoundDuration = gameState.remainingTime;
@@ -329,14 +863,21 @@ function startRound() {
         gameState.initialRoundDuration = gameState.remainingTime;
     }
 
-    gameState.roundStartTime = Date.now();
+    gameState.roundStartTime = performance.now();
     gameState.overtime = false;  // Reset overtime state
+    gameState.undoStack = [];
+    resetPause();
+
+    logEvent('round-start', {
+        duration: gameState.remainingTime,
+        resumed: resumeTime !== null
+    });
 
     // Reset current player's stats
-    const player = team.members[gameState.currentPlayerIndex];
-    const playerId = `${team.id}-${player}`;
-    gameState.playerStats[playerId].currentStreak = 0;
-    gameState.playerStats[playerId].currentStreakArtists = [];
+    if (resumeTime === null) {
+        gameState.playerStats[playerId].currentStreak = 0;
+        gameState.playerStats[playerId].currentStreakArtists = [];
+    }
 
     // Show first artist
     showCurrentArtist();
@@ -349,15 +890,34 @@ function startRound() {
     passButton.textContent = 'Skip';
     passButton.onclick = handlePass;
     document.getElementById('correct-button').onclick = handleCorrect;
+    document.getElementById('pause-button').onclick = pauseRound;
+    document.getElementById('resume-round-button').onclick = resumeRound;
+    document.getElementById('undo-button').onclick = undoLastAction;
+    updateUndoButton();
+
+    publishScoreboardEvent('round-start');
+
+    // Startup is triggered by a tap, which iOS requires for motion permission
+    // The phone must be held upright before the first flip counts
+    controls.tiltArmed = false;
+    enableTiltControls();
 }
 
 /**
  * Show current artist
  */
 function showCurrentArtist() {
-    // Safety check: ensure we have artists loaded
+    // Safety check: ensure we have artists loaded (broken images can use them all up mid-round)
     if (!gameState.artists || gameState.artists.length === 0) {
         console.error('No artists available to show!');
+        stopTimer();
+        clearHints();
+        clearCheckpoint();
+        gameState.phase = 'error';  // Controls only act while playing
+        showErrorPhase(
+            'No artists left to show!\n\nNone of the remaining artist images could be loaded. Check your internet connection and start a new game.',
+            { currentTeamIndex: gameState.currentTeamIndex, scores: gameState.scores }
+        );
         return;
     }
 
@@ -367,23 +927,23 @@ function showCurrentArtist() {
         shuffleArray(gameState.artists);
         gameState.currentArtistIndex = 0;
         preloadedImages.clear(); // Clear cache on reshuffle
+        gameState.undoStack = []; // Old artist indexes are meaningless now
+        updateUndoButton();
     }
 
     const artist = gameState.artists[gameState.currentArtistIndex];
 
-    // Use preloaded image if available, otherwise use URL directly
+    // Same URL as the preloaded image, so it usually comes straight from the browser cache
     const imgElement = document.getElementById('artist-image');
-    const preloadedImg = preloadedImages.get(artist.id);
-    if (preloadedImg && preloadedImg.complete) {
-        imgElement.src = preloadedImg.src;
-    } else {
-        imgElement.src = artist.image || 'https://via.placeholder.com/300?text=No+Image';
-    }
+    currentArtistImage = { artistId: artist.id, urls: getPlayImageUrls(artist), index: 0, skipOnResume: false };
+    imgElement.onerror = handleArtistImageError;
+    imgElement.src = currentArtistImage.urls[0] || '';
 
     document.getElementById('artist-name').textContent = artist.name;
+    logEvent('artist-shown', { artistId: artist.id });
 
     // Track when this artist was shown (for accurate guess timing)
-    gameState.currentArtistStartTime = Date.now();
+    gameState.currentArtistStartTime = performance.now();
 
     // Clear any previous hints
     clearHints();
@@ -397,13 +957,58 @@ function showCurrentArtist() {
     preloadImages(gameState.currentArtistIndex + 1, 5);
 }
 
+/**
+ * The artist image failed to load: try the next size, or leave the artist out if none loads
+ */
+function handleArtistImageError() {
+    if (gameState.phase !== 'playing' || !currentArtistImage) return;
+
+    // Ignore errors from an image that has been replaced since
+    const imgElement = document.getElementById('artist-image');
+    if (imgElement.getAttribute('src') !== (currentArtistImage.urls[currentArtistImage.index] || '')) return;
+
+    currentArtistImage.index++;
+    if (currentArtistImage.index < currentArtistImage.urls.length) {
+        console.warn(`Artist image failed to load, trying ${currentArtistImage.urls[currentArtistImage.index]}`);
+        imgElement.src = currentArtistImage.urls[currentArtistImage.index];
+        return;
+    }
+
+    // The artist is hidden while paused - skip it when the round resumes
+    if (gameState.paused) {
+        currentArtistImage.skipOnResume = true;
+        return;
+    }
+    skipArtistWithBrokenImage();
+}
+
+/**
+ * Leave out the current artist, whose image doesn't load, without costing the player time
+ */
+function skipArtistWithBrokenImage() {
+    const artist = gameState.artists[gameState.currentArtistIndex];
+    console.warn(`No image of ${artist.name} loads, leaving the artist out`);
+    logEvent('artist-image-failed', { artistId: artist.id });
+
+    // Give back the time the broken image was on screen
+    if (!gameState.overtime) {
+        gameState.roundEndTime += performance.now() - gameState.currentArtistStartTime;
+    }
+
+    // The next artist moves up into this index
+    gameState.artists.splice(gameState.currentArtistIndex, 1);
+    preloadedImages.delete(artist.id);
+    showCurrentArtist();
+    saveCheckpoint();
+}
+
 /**
  * Clear all hints and timeouts
  */
 function clearHints() {
     // Clear all hint timeouts
-    gameState.hintTimeouts.forEach(timeout => clearTimeout(timeout));
-    gameState.hintTimeouts = [];
+    clearHintTimeouts();
+    gameState.scheduledHints = [];
     gameState.currentHintIndex = 0;
 
     // Hide hint marquee
@@ -424,16 +1029,38 @@ function scheduleHints(tracks) {
     // Schedule hints at 5s, 15s, 25s
     const hintTimes = [5000, 15000, 25000];
 
-    hintTimes.forEach((time, index) => {
-        if (index < shuffledTracks.length) {
+    gameState.scheduledHints = hintTimes
+        .slice(0, shuffledTracks.length)
+        .map((time, index) => ({ time, track: shuffledTracks[index] }));
+
+    startHintTimeouts();
+}
+
+/**
+ * Start timeouts for scheduled hints that have not been shown yet
+ * Times are relative to when the current artist was shown (excluding pauses)
+ */
+function startHintTimeouts() {
+    const elapsed = performance.now() - gameState.currentArtistStartTime;
+
+    gameState.scheduledHints.forEach(hint => {
+        if (hint.time > elapsed) {
             const timeout = setTimeout(() => {
-                showHint(shuffledTracks[index]);
-            }, time);
+                showHint(hint.track);
+            }, hint.time - elapsed);
             gameState.hintTimeouts.push(timeout);
         }
     });
 }
 
+/**
+ * Cancel pending hint timeouts (scheduled hints are kept)
+ */
+function clearHintTimeouts() {
+    gameState.hintTimeouts.forEach(timeout => clearTimeout(timeout));
+    gameState.hintTimeouts = [];
+}
+
 /**
  * Show a hint with fade in/out animation
  */
@@ -445,6 +1072,10 @@ function showHint(trackName) {
 
     // Set the hint text
     hintText.textContent = `♪ ${trackName}`;
+    logEvent('hint-shown', {
+        artistId: gameState.artists[gameState.currentArtistIndex].id,
+        track: trackName
+    });
 
     // Show the marquee
     hintMarquee.classList.remove('hidden');
@@ -462,27 +1093,143 @@ function showHint(trackName) {
 
 /**
  * Start countdown timer
+ * Remaining time is derived from a monotonic clock, so throttled or dropped frames never cause drift
  */
 function startTimer() {
+    gameState.roundEndTime = performance.now() + gameState.remainingTime * 1000;
+    gameState.lastWholeSecond = Math.ceil(gameState.remainingTime);
     updateTimerDisplay();
 
-    gameState.timerInterval = setInterval(() => {
-        gameState.remainingTime--;
-        updateTimerDisplay();
-
-        if (gameState.remainingTime <= 0) {
-            // Stop the timer but keep showing the current artist
-            clearInterval(gameState.timerInterval);
-            gameState.timerInterval = null;
+    gameState.timerFrame = requestAnimationFrame(timerFrame);
+}
 
-            // Enter overtime mode - buttons will check this state
-            gameState.overtime = true;
+/**
+ * Animation frame callback: recompute remaining time and redraw the timer
+ */
+function timerFrame() {
+    gameState.remainingTime = Math.max(0, (gameState.roundEndTime - performance.now()) / 1000);
+    updateTimerDisplay();
 
-            // Change Skip button to Pass
-            const passButton = document.getElementById('pass-button');
-            passButton.textContent = 'Pass';
+    // Checkpoint every few whole seconds
+    const wholeSecond = Math.ceil(gameState.remainingTime);
+    if (wholeSecond !== gameState.lastWholeSecond) {
+        gameState.lastWholeSecond = wholeSecond;
+        if (wholeSecond % CHECKPOINT_INTERVAL_SECONDS === 0) {
+            saveCheckpoint();
         }
-    }, 1000);
+    }
+
+    if (gameState.remainingTime <= 0) {
+        // Stop the timer but keep showing the current artist
+        stopTimer();
+
+        // Enter overtime mode - buttons will check this state
+        gameState.overtime = true;
+        logEvent('overtime');
+
+        // Change Skip button to Pass
+        const passButton = document.getElementById('pass-button');
+        passButton.textContent = 'Pass';
+        saveCheckpoint();
+        publishScoreboardEvent('overtime');
+        return;
+    }
+
+    gameState.timerFrame = requestAnimationFrame(timerFrame);
+}
+
+/**
+ * Stop the countdown timer
+ */
+function stopTimer() {
+    if (gameState.timerFrame) {
+        cancelAnimationFrame(gameState.timerFrame);
+        gameState.timerFrame = null;
+    }
+}
+
+/**
+ * Pause the current round
+ * Freezes the timer and hint schedule and hides the artist so nobody can peek
+ */
+function pauseRound() {
+    if (gameState.phase !== 'playing' || gameState.paused) return;
+
+    gameState.paused = true;
+    gameState.pausedAt = performance.now();
+
+    // Freeze the exact remaining time (no timer runs in overtime)
+    if (!gameState.overtime) {
+        gameState.remainingTime = Math.max(0, (gameState.roundEndTime - gameState.pausedAt) / 1000);
+    }
+    stopTimer();
+
+    // Suspend pending hints and hide a hint that is currently showing
+    clearHintTimeouts();
+    document.getElementById('hint-marquee').classList.add('hidden');
+
+    phasePlaying.classList.add('paused');
+    document.getElementById('pause-overlay').classList.remove('hidden');
+    document.getElementById('pause-remaining').textContent = gameState.overtime
+        ? 'Time is up - waiting for the final guess'
+        : `${Math.ceil(gameState.remainingTime)} seconds left`;
+    document.getElementById('pass-button').disabled = true;
+    document.getElementById('correct-button').disabled = true;
+    document.getElementById('undo-button').disabled = true;
+
+    logEvent('pause');
+    saveCheckpoint();
+    publishScoreboardEvent('pause');
+    console.log('Round paused with', gameState.remainingTime.toFixed(1), 'seconds left');
+}
+
+/**
+ * Resume a paused round with the remaining time and hint schedule intact
+ */
+function resumeRound() {
+    if (!gameState.paused) return;
+
+    // Shift start times so the pause doesn't count towards guess times or hints
+    const pausedDuration = performance.now() - gameState.pausedAt;
+    gameState.roundStartTime += pausedDuration;
+    gameState.currentArtistStartTime += pausedDuration;
+
+    gameState.paused = false;
+    gameState.pausedAt = null;
+
+    phasePlaying.classList.remove('paused');
+    document.getElementById('pause-overlay').classList.add('hidden');
+    document.getElementById('pass-button').disabled = false;
+    document.getElementById('correct-button').disabled = false;
+    updateUndoButton();
+    controls.tiltArmed = false;
+
+    startHintTimeouts();
+
+    if (!gameState.overtime) {
+        startTimer();
+    }
+
+    logEvent('resume');
+    publishScoreboardEvent('resume');
+    console.log('Round resumed with', gameState.remainingTime.toFixed(1), 'seconds left');
+
+    // The artist's image failed to load during the pause
+    if (currentArtistImage && currentArtistImage.skipOnResume) {
+        skipArtistWithBrokenImage();
+    }
+}
+
+/**
+ * Reset pause state and overlay (at the start of a round)
+ */
+function resetPause() {
+    gameState.paused = false;
+    gameState.pausedAt = null;
+    phasePlaying.classList.remove('paused');
+    document.getElementById('pause-overlay').classList.add('hidden');
+    document.getElementById('pass-button').disabled = false;
+    document.getElementById('correct-button').disabled = false;
 }
 
 /**
@@ -490,7 +1237,8 @@ function startTimer() {
  */
 function updateTimerDisplay() {
     const timerElement = document.getElementById('timer');
-    const displayTime = Math.max(0, gameState.remainingTime); // Don't show negative numbers
+    // Whole seconds left, counting down like a clock (59.2s shows as 60)
+    const displayTime = Math.max(0, Math.ceil(gameState.remainingTime)); // Don't show negative numbers
 
     // Update just the text node, not the entire content (preserves progress bar HTML)
     const textNode = Array.from(timerElement.childNodes).find(node => node.nodeType === Node.TEXT_NODE);
@@ -510,11 +1258,11 @@ function updateTimerDisplay() {
     }
 
     // Color changes based on time
-    if (gameState.remainingTime <= 0) {
+    if (displayTime <= 0) {
         timerElement.style.color = '#e74c3c';
-    } else if (gameState.remainingTime <= 10) {
+    } else if (displayTime <= 10) {
         timerElement.style.color = '#e74c3c';
-    } else if (gameState.remainingTime <= 20) {
+    } else if (displayTime <= 20) {
         timerElement.style.color = '#f39c12';
     } else {
         timerElement.style.color = 'white';
@@ -525,8 +1273,11 @@ function updateTimerDisplay() {
  * Handle pass button
  */
 function handlePass() {
+    if (gameState.paused) return;
+
     // If in overtime, pass ends the round
     if (gameState.overtime) {
+        logEvent('pass', { artistId: gameState.artists[gameState.currentArtistIndex].id });
         endRound();
         return;
     }
@@ -536,26 +1287,38 @@ function handlePass() {
     const playerId = `${team.id}-${player}`;
     const stats = gameState.playerStats[playerId];
 
+    recordUndoStep('skip');
+    const event = logEvent('skip', { artistId: gameState.artists[gameState.currentArtistIndex].id });
+    gameState.undoStack[gameState.undoStack.length - 1].eventSeq = event.seq;
+
     stats.passed++;
     stats.currentStreak = 0; // Break streak
     stats.currentStreakArtists = []; // Clear streak artists
+    publishScoreboardEvent('skip');
 
     // Move to next artist
     gameState.currentArtistIndex++;
     showCurrentArtist();
+    saveCheckpoint();
 }
 
 /**
  * Handle correct button
  */
 function handleCorrect() {
+    if (gameState.paused) return;
+
     const team = gameConfig.teams[gameState.currentTeamIndex];
     const player = team.members[gameState.currentPlayerIndex];
     const playerId = `${team.id}-${player}`;
     const stats = gameState.playerStats[playerId];
     const artist = gameState.artists[gameState.currentArtistIndex];
 
-    const guessTime = (Date.now() - gameState.currentArtistStartTime) / 1000;
+    const guessTime = (performance.now() - gameState.currentArtistStartTime) / 1000;
+
+    recordUndoStep('correct');
+    const event = logEvent('correct', { artistId: artist.id, guessTime });
+    gameState.undoStack[gameState.undoStack.length - 1].eventSeq = event.seq;
 
     // Update stats
     stats.correct++;
@@ -583,8 +1346,10 @@ function handleCorrect() {
     stats.guesses.push({
         artist: artist,
         time: guessTime,
-        wasCorrect: true
+        wasCorrect: true,
+        guessedAt: Date.now()
     });
+    publishScoreboardEvent('correct');
 
     // If in overtime, correct ends the round
     if (gameState.overtime) {
@@ -595,6 +1360,247 @@ function handleCorrect() {
     // Move to next artist
     gameState.currentArtistIndex++;
     showCurrentArtist();
+    saveCheckpoint();
+}
+
+/**
+ * Setup keyboard, clicker and gesture controls for the playing phase
+ * Every control goes through the same handlers as the on-screen buttons
+ */
+function setupControls() {
+    const config = { ...DEFAULT_CONTROLS, ...(gameConfig.controls || {}) };
+
+    controls = {
+        correctKeys: parseKeyList(config.correctKeys),
+        skipKeys: parseKeyList(config.skipKeys),
+        pauseKeys: parseKeyList(config.pauseKeys),
+        swipe: config.swipe,
+        tilt: config.tilt,
+        tiltEnabled: false,
+        tiltArmed: true  // Phone has been back in neutral position since the last flip
+    };
+    console.log('Controls:', controls);
+
+    document.addEventListener('keydown', handleKeydown);
+
+    if (controls.swipe) {
+        setupSwipeControls();
+    }
+}
+
+/**
+ * Parse a comma-separated list of key names ("ArrowRight, Space, B")
+ */
+function parseKeyList(keysText) {
+    return (keysText || '')
+        .split(',')
+        .map(key => normalizeKey(key.trim()))
+        .filter(key => key.length > 0);
+}
+
+/**
+ * Normalize a key name for comparison (case-insensitive, " " is "space")
+ */
+function normalizeKey(key) {
+    return key === ' ' ? 'space' : key.toLowerCase();
+}
+
+/**
+ * Handle keyboard shortcuts during a round
+ */
+function handleKeydown(e) {
+    if (gameState.phase !== 'playing') return;
+
+    // Don't steal keys from form fields
+    if (e.target.matches && e.target.matches('input, textarea, select')) return;
+
+    // Undo: Ctrl/Cmd+Z or Backspace
+    if ((e.key === 'z' && (e.ctrlKey || e.metaKey)) || e.key === 'Backspace') {
+        e.preventDefault();
+        undoLastAction();
+        return;
+    }
+
+    if (e.ctrlKey || e.metaKey || e.altKey || e.repeat) return;
+
+    const key = normalizeKey(e.key);
+    let action = null;
+    if (controls.pauseKeys.includes(key)) {
+        action = gameState.paused ? resumeRound : pauseRound;
+    } else if (controls.correctKeys.includes(key)) {
+        action = handleCorrect;
+    } else if (controls.skipKeys.includes(key)) {
+        action = handlePass;
+    }
+
+    if (action) {
+        e.preventDefault();
+        // A focused button would otherwise also be clicked by Space/Enter
+        if (document.activeElement && document.activeElement.blur) {
+            document.activeElement.blur();
+        }
+        action();
+    }
+}
+
+/**
+ * Swipe right on the artist image for correct, left for skip
+ */
+function setupSwipeControls() {
+    const swipeArea = document.querySelector('.artist-image-container');
+    let touchStart = null;
+
+    swipeArea.addEventListener('touchstart', (e) => {
+        if (e.touches.length !== 1) {
+            touchStart = null;
+            return;
+        }
+        touchStart = { x: e.touches[0].clientX, y: e.touches[0].clientY };
+    }, { passive: true });
+
+    swipeArea.addEventListener('touchend', (e) => {
+        if (!touchStart || gameState.phase !== 'playing') return;
+
+        const dx = e.changedTouches[0].clientX - touchStart.x;
+        const dy = e.changedTouches[0].clientY - touchStart.y;
+        touchStart = null;
+
+        // Mostly horizontal and long enough
+        if (Math.abs(dx) < SWIPE_MIN_DISTANCE || Math.abs(dx) < Math.abs(dy) * 2) return;
+
+        if (dx > 0) {
+            handleCorrect();
+        } else {
+            handlePass();
+        }
+    });
+}
+
+/**
+ * Enable tilt controls (Heads-Up style): flip the screen down for correct, up for skip
+ * Must be called from a user gesture, since iOS asks for motion sensor permission
+ */
+async function enableTiltControls() {
+    if (!controls.tilt || controls.tiltEnabled) return;
+
+    if (typeof DeviceMotionEvent === 'undefined') {
+        console.warn('Tilt controls not supported on this device');
+        return;
+    }
+
+    try {
+        if (typeof DeviceMotionEvent.requestPermission === 'function') {
+            const permission = await DeviceMotionEvent.requestPermission();
+            if (permission !== 'granted') {
+                showStatus('Motion access denied - tilt controls disabled', 'error');
+                return;
+            }
+        }
+    } catch (error) {
+        console.error('Failed to request motion permission:', error);
+        return;
+    }
+
+    window.addEventListener('devicemotion', handleDeviceMotion);
+    controls.tiltEnabled = true;
+    console.log('Tilt controls enabled');
+}
+
+/**
+ * Detect the phone being flipped screen-down (correct) or screen-up (skip)
+ */
+function handleDeviceMotion(e) {
+    if (gameState.phase !== 'playing' || gameState.paused) return;
+
+    const gravity = e.accelerationIncludingGravity;
+    if (!gravity || gravity.z === null) return;
+
+    // z is about +9.8 with the screen facing up, -9.8 facing down and 0 held upright
+    if (Math.abs(gravity.z) < TILT_NEUTRAL_GRAVITY) {
+        controls.tiltArmed = true;
+        return;
+    }
+
+    if (!controls.tiltArmed || Math.abs(gravity.z) < TILT_TRIGGER_GRAVITY) return;
+
+    controls.tiltArmed = false;
+    if (gravity.z < 0) {
+        handleCorrect();
+    } else {
+        handlePass();
+    }
+}
+
+/**
+ * Snapshot everything a Correct/Skip press changes so it can be undone
+ */
+function recordUndoStep(action) {
+    const team = gameConfig.teams[gameState.currentTeamIndex];
+    const player = team.members[gameState.currentPlayerIndex];
+    const playerId = `${team.id}-${player}`;
+    const stats = gameState.playerStats[playerId];
+
+    gameState.undoStack.push({
+        action,
+        playerId,
+        teamId: team.id,
+        artistIndex: gameState.currentArtistIndex,
+        score: gameState.scores[team.id],
+        stats: {
+            correct: stats.correct,
+            passed: stats.passed,
+            fastestGuess: stats.fastestGuess,
+            currentStreak: stats.currentStreak,
+            currentStreakArtists: [...stats.currentStreakArtists],
+            bestStreak: stats.bestStreak,
+            bestStreakArtists: [...stats.bestStreakArtists],
+            guessCount: stats.guesses.length
+        }
+    });
+
+    // Keep only the most recent steps
+    if (gameState.undoStack.length > UNDO_HISTORY_SIZE) {
+        gameState.undoStack.shift();
+    }
+    updateUndoButton();
+}
+
+/**
+ * Undo the most recent Correct/Skip press and show that artist again
+ */
+function undoLastAction() {
+    if (gameState.phase !== 'playing' || gameState.paused || gameState.undoStack.length === 0) return;
+
+    const step = gameState.undoStack.pop();
+    const stats = gameState.playerStats[step.playerId];
+
+    stats.correct = step.stats.correct;
+    stats.passed = step.stats.passed;
+    stats.fastestGuess = step.stats.fastestGuess;
+    stats.currentStreak = step.stats.currentStreak;
+    stats.currentStreakArtists = step.stats.currentStreakArtists;
+    stats.bestStreak = step.stats.bestStreak;
+    stats.bestStreakArtists = step.stats.bestStreakArtists;
+    stats.guesses.length = step.stats.guessCount;
+    gameState.scores[step.teamId] = step.score;
+    logEvent('undo', { undoes: step.eventSeq, artistId: gameState.artists[step.artistIndex].id });
+
+    console.log(`Undid ${step.action} (${gameState.undoStack.length} more steps available)`);
+
+    // Show the artist again
+    gameState.currentArtistIndex = step.artistIndex;
+    showCurrentArtist();
+    updateUndoButton();
+    saveCheckpoint();
+    publishScoreboardEvent('undo');
+}
+
+/**
+ * Enable the undo button only when there is something to undo
+ */
+function updateUndoButton() {
+    const undoButton = document.getElementById('undo-button');
+    undoButton.disabled = gameState.undoStack.length === 0 || gameState.paused;
 }
 
 /**
@@ -602,10 +1608,12 @@ function handleCorrect() {
  */
 function endRound() {
     // Stop timer
-    if (gameState.timerInterval) {
-        clearInterval(gameState.timerInterval);
-        gameState.timerInterval = null;
-    }
+    stopTimer();
+
+    // Decisions can only be undone within a round
+    gameState.undoStack = [];
+    logEvent('round-end');
+    publishScoreboardEvent('round-end');
 
     // Clear any pending hints
     clearHints();
@@ -617,6 +1625,7 @@ function endRound() {
 
     // In swap-places mode, skip individual round done and go directly to team done
     if (gameConfig.gameMode === 'swap-places') {
+        gameState.teamComplete = true;
         showTeamDone();
         return;
     }
@@ -661,6 +1670,7 @@ function endRound() {
     // Always show round done phase first
     hideAllPhases();
     phaseRoundDone.classList.remove('hidden');
+    gameState.phase = 'round-done';
 
     const playerAnnouncementDiv = phaseRoundDone.querySelector('.player-announcement');
 
@@ -671,12 +1681,15 @@ function endRound() {
         const nextPlayer = team.members[gameState.currentPlayerIndex];
         document.getElementById('next-player-name').textContent = nextPlayer;
         playerAnnouncementDiv.style.display = 'block';
-        document.getElementById('continue-button').onclick = startRound;
+        document.getElementById('continue-button').onclick = () => startRound();
     } else {
         // Last player in team - hide "next player" section and go to team done
+        gameState.teamComplete = true;
         playerAnnouncementDiv.style.display = 'none';
         document.getElementById('continue-button').onclick = showTeamDone;
     }
+
+    saveCheckpoint();
 }
 
 /**
@@ -697,6 +1710,7 @@ function showTeamDone() {
         // Move to next team
         gameState.currentTeamIndex++;
         gameState.currentPlayerIndex = 0;
+        gameState.teamComplete = false;
 
         const nextTeam = gameConfig.teams[gameState.currentTeamIndex];
         const nextPlayer = nextTeam.members[0];
@@ -708,7 +1722,10 @@ function showTeamDone() {
 
         hideAllPhases();
         phaseTeamDone.classList.remove('hidden');
-        document.getElementById('next-team-button').onclick = showReadyPhase;
+        gameState.phase = 'team-done';
+        saveCheckpoint();
+        publishScoreboardEvent('team-done');
+        document.getElementById('next-team-button').onclick = () => showReadyPhase();
     } else {
         // Game is over
         console.log('showTeamDone - Game over!');
@@ -722,12 +1739,28 @@ function showTeamDone() {
 function showGameOver() {
     hideAllPhases();
     phaseGameOver.classList.remove('hidden');
+    gameState.phase = 'game-over';
+
+    // Game finished - nothing left to resume
+    clearCheckpoint();
+    logEvent('game-over');
+    document.getElementById('download-log-button').onclick = downloadGameLog;
+    publishScoreboardEvent('game-over');
+
+    // Keep the game in the local history
+    const log = buildGameLog(gameConfig, gameState.eventLog, gameState.artists);
+    saveGameToHistory(buildGameHistoryRecord(log)).catch(error => {
+        console.error('Failed to save game to history:', error);
+    });
+
+    // Scores and highlights come from the log, so they match what the history and export show
+    const { scores, playerStats } = computeGameSummary(log);
 
     // Build scores list
     const scoresList = gameConfig.teams
         .map(team => ({
             team: team,
-            score: gameState.scores[team.id]
+            score: scores[team.id]
         }))
         .sort((a, b) => b.score - a.score);
 
@@ -741,16 +1774,8 @@ function showGameOver() {
 
     document.getElementById('scores-list').innerHTML = scoresHtml;
 
-    // Find fastest guess
-    let fastestGuess = null;
-    let fastestPlayer = null;
-
-    Object.entries(gameState.playerStats).forEach(([playerId, stats]) => {
-        if (stats.fastestGuess && (fastestGuess === null || stats.fastestGuess.time < fastestGuess.time)) {
-            fastestGuess = stats.fastestGuess;
-            fastestPlayer = stats;
-        }
-    });
+    // Find fastest guess and best streak
+    const { fastestGuess, fastestPlayer, bestStreak, bestStreakPlayer } = computeHighlights(playerStats);
 
     if (fastestGuess) {
         document.getElementById('fastest-guess').innerHTML = `
@@ -767,17 +1792,6 @@ function showGameOver() {
         document.getElementById('fastest-guess').innerHTML = '<p>No guesses recorded</p>';
     }
 
-    // Find best streak
-    let bestStreak = 0;
-    let bestStreakPlayer = null;
-
-    Object.entries(gameState.playerStats).forEach(([playerId, stats]) => {
-        if (stats.bestStreak > bestStreak) {
-            bestStreak = stats.bestStreak;
-            bestStreakPlayer = stats;
-        }
-    });
-
     if (bestStreakPlayer && bestStreak > 0) {
         // Show up to 5 artist images from the streak
         const streakArtists = bestStreakPlayer.bestStreakArtists.slice(0, 5);
@@ -806,16 +1820,16 @@ function showGameOver() {
     }
 
     // Start raining artists animation
-    createRainingArtists();
+    createRainingArtists(playerStats);
 }
 
 /**
- * Create raining artists background animation
+ * Create raining artists background animation from the per-player stats
  */
-function createRainingArtists() {
+function createRainingArtists(playerStats) {
     // Collect all unique correct guesses from all players
     const artistsMap = new Map();
-    Object.values(gameState.playerStats).forEach(stats => {
+    Object.values(playerStats).forEach(stats => {
         stats.guesses.forEach(guess => {
             if (guess.wasCorrect && guess.artist.image) {
                 artistsMap.set(guess.artist.id, guess.artist);
@@ -879,6 +1893,8 @@ function createRainingArtists() {
  */
 function hideAllPhases() {
     phaseError.classList.add('hidden');
+    phaseResume.classList.add('hidden');
+    phaseSources.classList.add('hidden');
     phaseReady.classList.add('hidden');
     phasePlaying.classList.add('hidden');
     phaseRoundDone.classList.add('hidden');
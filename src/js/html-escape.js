@@ -0,0 +1,17 @@
+/**
+ * HTML Escape
+ * Escapes names and other outside text before they go into innerHTML templates.
+ * Shared by every page, so text is escaped the same way everywhere.
+ */
+
+/**
+ * Escape text for use in HTML, attribute values included
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
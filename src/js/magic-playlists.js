@@ -0,0 +1,61 @@
+/**
+ * Magic Playlists
+ * Registry of curated Spotify playlists (charts and the like) offered as Magic Sources.
+ * The registry lives in magic-playlists.json, written by scripts/update-playlists.html
+ * and checked by verify-playlists.html.
+ */
+
+// Registry location, relative to the pages in the project root
+const MAGIC_PLAYLISTS_URL = 'src/js/magic-playlists.json';
+
+// Registry format version - bump when the entry shape changes
+const MAGIC_PLAYLISTS_VERSION = 1;
+
+// Fields every registry entry has
+const MAGIC_PLAYLIST_FIELDS = ['id', 'label', 'region', 'category', 'fallbackQuery'];
+
+/**
+ * Load the registry and return its playlists
+ * Each playlist is { id, label, region, category, fallbackQuery }
+ */
+async function loadMagicPlaylists(url = MAGIC_PLAYLISTS_URL) {
+    const response = await fetch(url, { cache: 'no-cache' });
+    if (!response.ok) {
+        throw new Error(`Could not load magic playlists (${response.status})`);
+    }
+    return parseMagicPlaylists(await response.json());
+}
+
+/**
+ * Validate a registry document and return its playlists
+ */
+function parseMagicPlaylists(registry) {
+    if (!registry || registry.version !== MAGIC_PLAYLISTS_VERSION || !Array.isArray(registry.playlists)) {
+        throw new Error(`Unsupported magic playlists registry (expected version ${MAGIC_PLAYLISTS_VERSION})`);
+    }
+
+    registry.playlists.forEach((playlist, i) => {
+        const missing = MAGIC_PLAYLIST_FIELDS.filter(field => typeof playlist[field] !== 'string');
+        if (missing.length > 0) {
+            throw new Error(`Magic playlist ${i + 1} is missing ${missing.join(', ')}`);
+        }
+    });
+
+    return registry.playlists;
+}
+
+/**
+ * Build a registry document from a list of playlists
+ */
+function buildMagicPlaylistsRegistry(playlists) {
+    return {
+        version: MAGIC_PLAYLISTS_VERSION,
+        playlists: playlists.map(playlist => {
+            const entry = {};
+            MAGIC_PLAYLIST_FIELDS.forEach(field => {
+                entry[field] = playlist[field] || '';
+            });
+            return entry;
+        })
+    };
+}
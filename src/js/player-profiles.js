@@ -0,0 +1,186 @@
+/**
+ * Player Profiles
+ * Players that carry over between games, stored locally in IndexedDB (see storage.js).
+ * Lifetime statistics are recomputed from the game logs kept in the game history.
+ */
+
+// Avatar colours handed out to new profiles in turn
+const PROFILE_COLORS = ['#1DB954', '#e74c3c', '#3498db', '#f39c12', '#9b59b6', '#1abc9c', '#e91e63', '#f1c40f'];
+
+// How many artists to list as most guessed / most skipped
+const PROFILE_TOP_ARTISTS = 3;
+
+/**
+ * Get all player profiles, sorted by name
+ */
+async function getProfiles() {
+    const profiles = await dbGetAll('profiles');
+    return profiles.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Create a new player profile
+ */
+async function createProfile(name, existingProfiles = []) {
+    const profile = {
+        id: `profile-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        name: name.trim(),
+        color: PROFILE_COLORS[existingProfiles.length % PROFILE_COLORS.length],
+        createdAt: Date.now()
+    };
+    await dbPut('profiles', profile);
+    console.log('Created player profile:', profile.name);
+    return profile;
+}
+
+/**
+ * Save changes to a player profile
+ */
+function saveProfile(profile) {
+    return dbPut('profiles', profile);
+}
+
+/**
+ * Delete a player profile (its games stay in the history)
+ */
+function deleteProfile(profileId) {
+    return dbDelete('profiles', profileId);
+}
+
+/**
+ * Find a profile by player name (case-insensitive)
+ */
+function findProfileByName(profiles, name) {
+    const key = name.trim().toLowerCase();
+    return profiles.find(p => p.name.toLowerCase() === key) || null;
+}
+
+/**
+ * Make sure every name has a profile, creating missing ones
+ * Returns the full, updated list of profiles
+ */
+async function ensureProfiles(names, profiles) {
+    const updated = [...profiles];
+    for (const name of names) {
+        if (!findProfileByName(updated, name)) {
+            updated.push(await createProfile(name, updated));
+        }
+    }
+    return updated.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Find the profile a team member played as
+ * Older or imported games without profile ids are matched by name
+ */
+function resolveMemberProfile(team, member, profiles) {
+    const profileId = team.profiles && team.profiles[member];
+    if (profileId) {
+        return profiles.find(p => p.id === profileId) || null;
+    }
+    return findProfileByName(profiles, member);
+}
+
+/**
+ * Aggregate lifetime stats for each profile from the game history
+ * Returns profileId -> stats
+ */
+function computeLifetimeStats(profiles, games) {
+    const totals = {};
+    profiles.forEach(profile => {
+        totals[profile.id] = {
+            gamesPlayed: 0,
+            competitiveGames: 0,  // Games with more than one team
+            wins: 0,
+            correct: 0,          // In individual rounds (for the per-minute rate)
+            secondsPlayed: 0,    // In individual rounds
+            bestStreak: 0,
+            fastestGuess: null,  // { time, artistName }
+            guessedArtists: {},  // artistId -> count
+            skippedArtists: {},  // artistId -> count
+            artistNames: {}      // artistId -> name
+        };
+    });
+
+    games.forEach(game => {
+        const log = game.log;
+        if (!log) return;
+
+        const { scores, playerStats } = computeGameSummary(log);
+        const topScore = Math.max(...log.teams.map(team => scores[team.id]));
+        const events = getEffectiveEvents(log);
+
+        // Swap Places rounds are played by the whole team, and the log credits every guess to
+        // its first member - so they count for no one's per-minute rate, and their guessed and
+        // skipped artists count for every member
+        const swapPlaces = log.settings.gameMode === 'swap-places';
+
+        log.teams.forEach(team => {
+            team.members.forEach(member => {
+                const profile = resolveMemberProfile(team, member, profiles);
+                if (!profile) return;
+
+                const playerId = `${team.id}-${member}`;
+                const total = totals[profile.id];
+                const stats = playerStats[playerId];
+
+                total.gamesPlayed++;
+                if (log.teams.length > 1) {
+                    total.competitiveGames++;
+                    if (scores[team.id] === topScore) {
+                        total.wins++;
+                    }
+                }
+
+                if (!swapPlaces) {
+                    total.correct += stats.correct;
+                }
+                total.bestStreak = Math.max(total.bestStreak, stats.bestStreak);
+                if (stats.fastestGuess && (total.fastestGuess === null || stats.fastestGuess.time < total.fastestGuess.time)) {
+                    total.fastestGuess = {
+                        time: stats.fastestGuess.time,
+                        artistName: stats.fastestGuess.artist.name
+                    };
+                }
+
+                events.forEach(event => {
+                    const byPlayer = swapPlaces ? event.teamId === team.id : event.playerId === playerId;
+                    if (!byPlayer) return;
+
+                    if (event.type === 'round-start' && !event.resumed && !swapPlaces) {
+                        total.secondsPlayed += event.duration;
+                    } else if (event.type === 'correct') {
+                        total.guessedArtists[event.artistId] = (total.guessedArtists[event.artistId] || 0) + 1;
+                    } else if (event.type === 'skip') {
+                        total.skippedArtists[event.artistId] = (total.skippedArtists[event.artistId] || 0) + 1;
+                    }
+                });
+
+                // Remember artist names for the most guessed/skipped lists
+                Object.entries(log.artists).forEach(([artistId, artist]) => {
+                    total.artistNames[artistId] = artist.name;
+                });
+            });
+        });
+    });
+
+    const lifetimeStats = {};
+    Object.entries(totals).forEach(([profileId, total]) => {
+        const topArtists = counts => Object.entries(counts)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, PROFILE_TOP_ARTISTS)
+            .map(([artistId, count]) => ({ name: total.artistNames[artistId] || artistId, count }));
+
+        lifetimeStats[profileId] = {
+            gamesPlayed: total.gamesPlayed,
+            winRate: total.competitiveGames > 0 ? total.wins / total.competitiveGames : null,
+            correctPerMinute: total.secondsPlayed > 0 ? total.correct / (total.secondsPlayed / 60) : null,
+            bestStreak: total.bestStreak,
+            fastestGuess: total.fastestGuess,
+            mostGuessed: topArtists(total.guessedArtists),
+            mostSkipped: topArtists(total.skippedArtists)
+        };
+    });
+
+    return lifetimeStats;
+}
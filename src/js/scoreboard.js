@@ -0,0 +1,191 @@
+/**
+ * Scoreboard Logic
+ * Second-screen view that follows the game running in another window.
+ * Receives game events from game.js over BroadcastChannel and never sees the current artist.
+ */
+
+let scoreboardState = null;
+let timerFrame = null;
+
+// DOM Elements
+const scoreboardStatus = document.getElementById('scoreboard-status');
+const scoreboardPlayer = document.getElementById('scoreboard-player');
+const scoreboardTeam = document.getElementById('scoreboard-team');
+const scoreboardTimer = document.getElementById('scoreboard-timer');
+const scoreboardProgressFill = document.getElementById('scoreboard-progress-fill');
+const scoreboardScores = document.getElementById('scoreboard-scores');
+const scoreboardRecentArtists = document.getElementById('scoreboard-recent-artists');
+
+// Status line shown for each game event
+const EVENT_STATUS = {
+    'state': null,
+    'round-start': 'Round in progress',
+    'correct': 'Round in progress',
+    'skip': 'Round in progress',
+    'undo': 'Round in progress',
+    'resume': 'Round in progress',
+    'pause': 'Paused',
+    'overtime': 'Time is up - final guess!',
+    'round-end': 'Round over',
+    'team-done': 'Team complete',
+    'game-over': 'Game over!'
+};
+
+/**
+ * Initialize scoreboard on page load
+ */
+window.addEventListener('DOMContentLoaded', () => {
+    if (!('BroadcastChannel' in window)) {
+        scoreboardStatus.textContent = 'This browser does not support the scoreboard.';
+        return;
+    }
+
+    const channel = new BroadcastChannel('guess-the-artist-scoreboard');
+    channel.onmessage = (e) => handleGameEvent(e.data);
+
+    // Ask a game that is already running for its current state
+    channel.postMessage({ type: 'hello' });
+});
+
+/**
+ * Handle an event published by the game window
+ */
+function handleGameEvent(event) {
+    if (!event || !event.state) return;
+
+    console.log('Scoreboard event:', event.type);
+    scoreboardState = event.state;
+
+    const status = EVENT_STATUS[event.type];
+    if (status) {
+        scoreboardStatus.textContent = status;
+    } else if (event.type === 'state') {
+        scoreboardStatus.textContent = describePhase(scoreboardState);
+    }
+
+    renderRound();
+    renderScores();
+    renderRecentArtists();
+
+    // Animate the timer only while the round clock is running
+    if (timerFrame) {
+        cancelAnimationFrame(timerFrame);
+        timerFrame = null;
+    }
+    if (scoreboardState.roundEndsAt) {
+        timerFrame = requestAnimationFrame(updateTimer);
+    } else {
+        updateTimer();
+    }
+}
+
+/**
+ * Status line for a state received without a specific event
+ */
+function describePhase(state) {
+    if (state.phase === 'playing') {
+        if (state.paused) return EVENT_STATUS['pause'];
+        if (state.overtime) return EVENT_STATUS['overtime'];
+        return EVENT_STATUS['round-start'];
+    }
+    if (state.phase === 'game-over') return EVENT_STATUS['game-over'];
+    return 'Get ready...';
+}
+
+/**
+ * Render the current team and player
+ */
+function renderRound() {
+    const team = scoreboardState.teams.find(t => t.id === scoreboardState.currentTeamId);
+
+    if (scoreboardState.phase === 'game-over' || !team) {
+        scoreboardPlayer.textContent = '';
+        scoreboardTeam.textContent = '';
+        return;
+    }
+
+    if (scoreboardState.currentPlayer) {
+        scoreboardPlayer.textContent = scoreboardState.currentPlayer;
+        scoreboardTeam.textContent = team.name;
+    } else {
+        scoreboardPlayer.textContent = team.name;
+        scoreboardTeam.textContent = '';
+    }
+}
+
+/**
+ * Render team scores, highest first
+ */
+function renderScores() {
+    const teams = [...scoreboardState.teams].sort((a, b) => b.score - a.score);
+
+    scoreboardScores.innerHTML = teams.map((team, index) => `
+        <div class="score-item ${team.id === scoreboardState.currentTeamId && scoreboardState.phase !== 'game-over' ? 'current' : ''} ${scoreboardState.phase === 'game-over' && index === 0 ? 'winner' : ''}">
+            <span class="rank">${index + 1}.</span>
+            <span class="team-name">${escapeHtml(team.name)}</span>
+            <span class="score">${team.score}</span>
+        </div>
+    `).join('');
+}
+
+/**
+ * Render thumbnails of recently guessed artists
+ */
+function renderRecentArtists() {
+    const artists = scoreboardState.recentArtists || [];
+
+    if (artists.length === 0) {
+        scoreboardRecentArtists.innerHTML = '<p class="empty-state">No artists guessed yet</p>';
+        return;
+    }
+
+    scoreboardRecentArtists.innerHTML = artists.map(artist => `
+        <div class="scoreboard-artist">
+            <img src="${artist.image || 'https://via.placeholder.com/120?text=No+Image'}" alt="${escapeHtml(artist.name)}">
+            <span>${escapeHtml(artist.name)}</span>
+        </div>
+    `).join('');
+}
+
+/**
+ * Update the timer, following the game's wall-clock round end while it runs
+ */
+function updateTimer() {
+    let remainingTime = scoreboardState.remainingTime;
+    if (scoreboardState.roundEndsAt) {
+        const now = performance.timeOrigin + performance.now();
+        remainingTime = Math.max(0, (scoreboardState.roundEndsAt - now) / 1000);
+    }
+
+    const displayTime = scoreboardState.phase === 'playing' ? Math.max(0, Math.ceil(remainingTime)) : '--';
+
+    // Update just the text node (preserves progress bar HTML)
+    const textNode = Array.from(scoreboardTimer.childNodes).find(node => node.nodeType === Node.TEXT_NODE);
+    if (textNode) {
+        textNode.textContent = displayTime;
+    } else {
+        scoreboardTimer.insertBefore(document.createTextNode(displayTime), scoreboardTimer.firstChild);
+    }
+
+    const progress = scoreboardState.phase === 'playing' && scoreboardState.initialRoundDuration > 0
+        ? Math.max(0, (remainingTime / scoreboardState.initialRoundDuration) * 100)
+        : 0;
+    scoreboardProgressFill.style.width = `${progress}%`;
+
+    // Same colour thresholds as the game timer
+    if (displayTime === '--') {
+        scoreboardTimer.style.color = 'white';
+    } else if (displayTime <= 10) {
+        scoreboardTimer.style.color = '#e74c3c';
+    } else if (displayTime <= 20) {
+        scoreboardTimer.style.color = '#f39c12';
+    } else {
+        scoreboardTimer.style.color = 'white';
+    }
+
+    if (scoreboardState.roundEndsAt && remainingTime > 0) {
+        timerFrame = requestAnimationFrame(updateTimer);
+    } else {
+        timerFrame = null;
+    }
+}
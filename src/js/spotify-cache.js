@@ -0,0 +1,115 @@
+/**
+ * Spotify Cache
+ * Playlist and artist metadata kept in IndexedDB (see storage.js) so repeat games load quickly.
+ * Playlists are valid until their snapshot id changes, artists and their top tracks for ARTIST_CACHE_TTL_MS.
+ */
+
+// Artist details (images, popularity) change slowly
+const ARTIST_CACHE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Bump when the shape of cached playlist artists changes (2: featured artists)
+const PLAYLIST_CACHE_FORMAT = 2;
+
+class SpotifyCache {
+    /**
+     * Get a cached playlist if it hasn't changed since it was cached
+     * Returns { id, name, snapshotId, artists: [{ id, name, tracks, featuredTracks, leadsTrack }], cachedAt } or null
+     */
+    async getPlaylist(playlistId, snapshotId) {
+        const playlist = await dbGet('playlists', playlistId);
+        return playlist && playlist.snapshotId === snapshotId && playlist.format === PLAYLIST_CACHE_FORMAT
+            ? playlist
+            : null;
+    }
+
+    /**
+     * Cache a playlist's artists and track names under its snapshot id
+     */
+    putPlaylist(playlist) {
+        return dbPut('playlists', { ...playlist, format: PLAYLIST_CACHE_FORMAT, cachedAt: Date.now() });
+    }
+
+    /**
+     * Get cached artist details that haven't expired
+     * Returns artistId -> { id, name, image, popularity, genres }
+     */
+    async getArtists(artistIds) {
+        const records = await dbGetMany('artists', artistIds);
+        const now = Date.now();
+        const artists = new Map();
+
+        records.forEach(record => {
+            if (record && now - record.cachedAt < ARTIST_CACHE_TTL_MS) {
+                const { cachedAt, ...artist } = record;
+                artists.set(artist.id, artist);
+            }
+        });
+
+        return artists;
+    }
+
+    /**
+     * Cache artist details
+     */
+    putArtists(artists) {
+        const cachedAt = Date.now();
+        return dbPutMany('artists', artists.map(artist => ({ ...artist, cachedAt })));
+    }
+
+    /**
+     * Get cached top track names of artists that haven't expired
+     * Returns artistId -> track names
+     */
+    async getTopTracks(artistIds) {
+        const records = await dbGetMany('topTracks', artistIds);
+        const now = Date.now();
+        const topTracks = new Map();
+
+        records.forEach(record => {
+            if (record && now - record.cachedAt < ARTIST_CACHE_TTL_MS) {
+                topTracks.set(record.id, record.tracks);
+            }
+        });
+
+        return topTracks;
+    }
+
+    /**
+     * Cache top track names of artists ([{ id, tracks }])
+     */
+    putTopTracks(entries) {
+        const cachedAt = Date.now();
+        return dbPutMany('topTracks', entries.map(entry => ({ ...entry, cachedAt })));
+    }
+
+    /**
+     * Summarize what is cached (for the cache inspector in Settings)
+     */
+    async getStats() {
+        const playlists = await dbGetAll('playlists');
+        const artistCount = await dbCount('artists');
+
+        return {
+            playlists: playlists
+                .map(playlist => ({
+                    id: playlist.id,
+                    name: playlist.name,
+                    artistCount: playlist.artists.length,
+                    trackCount: playlist.artists.reduce((sum, artist) => sum + artist.tracks.length, 0),
+                    cachedAt: playlist.cachedAt
+                }))
+                .sort((a, b) => b.cachedAt - a.cachedAt),
+            artistCount
+        };
+    }
+
+    /**
+     * Remove everything from the cache
+     */
+    async clear() {
+        await dbClear('playlists');
+        await dbClear('artists');
+        await dbClear('topTracks');
+        console.log('Spotify cache cleared');
+    }
+}
@@ -7,11 +7,116 @@
  * Reference: https://developer.spotify.com/documentation/web-api/tutorials/code-pkce-flow
  */
 
+// Retries for 5xx responses and network failures
+const SPOTIFY_MAX_RETRIES = 3;
+
+// Retries for 429 responses, and the longest Retry-After we are willing to wait (seconds)
+const SPOTIFY_MAX_RATE_LIMIT_RETRIES = 5;
+const SPOTIFY_MAX_RETRY_AFTER = 30;
+
+// Source id of the user's Liked Songs library, usable wherever a playlist id is
+const LIKED_SONGS_SOURCE_ID = 'liked-songs';
+
+// Source id of the user's recently played tracks (Spotify keeps the last 50)
+const RECENTLY_PLAYED_SOURCE_ID = 'recently-played';
+
+// Track sources from the user's library: where their tracks are and how many fit on a page
+const LIBRARY_TRACK_SOURCES = {
+    [LIKED_SONGS_SOURCE_ID]: { path: '/me/tracks', pageSize: 50 },
+    [RECENTLY_PLAYED_SOURCE_ID]: { path: '/me/player/recently-played', pageSize: 50 }
+};
+
+// Source ids of the user's top artists, followed by the time range ('top-artists:short_term')
+const TOP_ARTISTS_SOURCE_PREFIX = 'top-artists:';
+
+// Source id of artists related to the user's top artists
+const RELATED_ARTISTS_SOURCE_ID = 'related-artists';
+
+// Source id of the artists the user follows
+const FOLLOWED_ARTISTS_SOURCE_ID = 'followed-artists';
+
+// localStorage key of curated playlists replaced by a search fallback (original id -> { id, name })
+const PLAYLIST_SUBSTITUTIONS_KEY = 'spotify_playlist_substitutions';
+
+// Source ids of popular artists from a decade ('decade:1990s') or genre ('genre:hip hop')
+const DECADE_SOURCE_PREFIX = 'decade:';
+const GENRE_SOURCE_PREFIX = 'genre:';
+
+// Which artists credited on a track join the pool (the featuredArtists option of getArtistsFromSources)
+const FEATURED_ARTISTS_PRIMARY = 'primary';  // Only the first (lead) artist of each track
+const FEATURED_ARTISTS_ALL = 'all';  // Every credited artist
+const FEATURED_ARTISTS_IF_LEADING = 'if-leading';  // Featured artists that also lead a track
+
+// Parallel requests when loading playlists (override with SPOTIFY_CONFIG.requestConcurrency)
+const SPOTIFY_DEFAULT_CONCURRENCY = 4;
+
+// Artist sources have no tracks for hints: at most this many artists per source get their
+// top tracks looked up (one request each), this many at a time
+const ARTIST_SOURCE_HINT_LOOKUPS = 20;
+const HINT_LOOKUP_CONCURRENCY = 2;
+
+/**
+ * Base class for errors from the Spotify API
+ */
+class SpotifyError extends Error {
+    constructor(message, status = null) {
+        super(message);
+        this.name = 'SpotifyError';
+        this.status = status;
+    }
+}
+
+/**
+ * Session expired or was revoked - the user needs to log in again
+ */
+class SpotifyAuthError extends SpotifyError {
+    constructor(message, status = 401) {
+        super(message, status);
+        this.name = 'SpotifyAuthError';
+    }
+}
+
+/**
+ * Still rate limited after retrying
+ */
+class SpotifyRateLimitError extends SpotifyError {
+    constructor(message, retryAfter) {
+        super(message, 429);
+        this.name = 'SpotifyRateLimitError';
+        this.retryAfter = retryAfter;  // Seconds Spotify asked us to wait
+    }
+}
+
+/**
+ * Playlist, artist or other resource doesn't exist (or isn't accessible)
+ */
+class SpotifyNotFoundError extends SpotifyError {
+    constructor(message) {
+        super(message, 404);
+        this.name = 'SpotifyNotFoundError';
+    }
+}
+
+/**
+ * Request never reached Spotify (offline, DNS, CORS...)
+ */
+class SpotifyNetworkError extends SpotifyError {
+    constructor(message) {
+        super(message);
+        this.name = 'SpotifyNetworkError';
+    }
+}
+
 class SpotifyClient {
-    constructor() {
+    /**
+     * @param {SpotifyCache|null} cache - Optional metadata cache for playlist loading (see spotify-cache.js)
+     */
+    constructor(cache = null) {
         this.accessToken = null;
         this.refreshToken = null;
         this.tokenExpiry = null;
+        this.pendingAuthentication = null;
+        this.cache = cache;
         this.config = window.SPOTIFY_CONFIG;
     }
 
@@ -164,21 +269,26 @@ class SpotifyClient {
         });
 
         if (!refreshToken) {
-            throw new Error('No refresh token available. Please log in again.');
+            throw new SpotifyAuthError('No refresh token available. Please log in again.');
         }
 
         try {
-            const response = await fetch(this.config.tokenEndpoint, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/x-www-form-urlencoded',
-                },
-                body: new URLSearchParams({
-                    client_id: this.config.clientId,
-                    grant_type: 'refresh_token',
-                    refresh_token: refreshToken,
-                }),
-            });
+            let response;
+            try {
+                response = await fetch(this.config.tokenEndpoint, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/x-www-form-urlencoded',
+                    },
+                    body: new URLSearchParams({
+                        client_id: this.config.clientId,
+                        grant_type: 'refresh_token',
+                        refresh_token: refreshToken,
+                    }),
+                });
+            } catch (error) {
+                throw new SpotifyNetworkError(`Network error while refreshing token: ${error.message}`);
+            }
 
             console.log('Token refresh response:', response.status, response.statusText);
 
@@ -201,12 +311,15 @@ class SpotifyClient {
                     return this.refreshAccessToken(retryCount + 1);
                 }
 
+                const message = `Token refresh failed: ${errorData.error_description || errorData.error || response.statusText}`;
+
                 // Don't logout on server errors - token might still be valid
                 if (response.status < 500) {
                     this.logout();
+                    throw new SpotifyAuthError(message, response.status);
                 }
 
-                throw new Error(`Token refresh failed: ${errorData.error_description || errorData.error || response.statusText}`);
+                throw new SpotifyError(message, response.status);
             }
 
             const data = await response.json();
@@ -229,8 +342,21 @@ class SpotifyClient {
 
     /**
      * Ensure we have a valid access token (supports both user auth and anonymous mode)
+     * Parallel requests share a single token refresh
+     */
+    ensureAuthenticated() {
+        if (!this.pendingAuthentication) {
+            this.pendingAuthentication = this.checkAuthentication().finally(() => {
+                this.pendingAuthentication = null;
+            });
+        }
+        return this.pendingAuthentication;
+    }
+
+    /**
+     * Refresh or obtain an access token if there is none or it is about to expire
      */
-    async ensureAuthenticated() {
+    async checkAuthentication() {
         console.log('ensureAuthenticated called', {
             hasAccessToken: !!this.accessToken,
             hasRefreshTokenInMemory: !!this.refreshToken,
@@ -299,14 +425,19 @@ class SpotifyClient {
 
             const credentials = btoa(`${this.config.clientId}:${this.config.clientSecret}`);
 
-            const response = await fetch(this.config.tokenEndpoint, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Basic ${credentials}`,
-                    'Content-Type': 'application/x-www-form-urlencoded',
-                },
-                body: 'grant_type=client_credentials',
-            });
+            let response;
+            try {
+                response = await fetch(this.config.tokenEndpoint, {
+                    method: 'POST',
+                    headers: {
+                        'Authorization': `Basic ${credentials}`,
+                        'Content-Type': 'application/x-www-form-urlencoded',
+                    },
+                    body: 'grant_type=client_credentials',
+                });
+            } catch (error) {
+                throw new SpotifyNetworkError(`Network error while getting token: ${error.message}`);
+            }
 
             console.log('Client credentials response:', response.status, response.statusText);
 
@@ -319,7 +450,11 @@ class SpotifyClient {
                     errorData = { error: 'unknown', error_description: errorText };
                 }
                 console.error('Client credentials failed:', errorData);
-                throw new Error(`Client credentials auth failed: ${errorData.error_description || errorData.error || response.statusText}`);
+                const message = `Client credentials auth failed: ${errorData.error_description || errorData.error || response.statusText}`;
+                if (response.status >= 500) {
+                    throw new SpotifyError(message, response.status);
+                }
+                throw new SpotifyAuthError(message, response.status);
             }
 
             const data = await response.json();
@@ -344,35 +479,165 @@ class SpotifyClient {
     }
 
     /**
-     * Get user's top artists (personalized!)
+     * Make a Web API request and return the parsed JSON body
+     * All API calls go through here: honours Retry-After on 429, retries 5xx and network
+     * failures with backoff, refreshes the token and replays once on 401, and throws typed errors.
      *
-     * @param {number} limit - Number of artists (max 50)
-     * @param {string} timeRange - 'short_term' (4 weeks), 'medium_term' (6 months), 'long_term' (years)
+     * @param {string} pathOrUrl - API path (e.g. '/me/playlists') or a full URL such as a paging `next` link
+     * @param {Object} options - { signal } to abort the request (including retry waits)
      */
-    async getTopArtists(limit = 20, timeRange = 'medium_term') {
+    async request(pathOrUrl, { signal } = {}) {
         await this.ensureAuthenticated();
 
-        try {
-            const url = `${this.config.apiBaseUrl}/me/top/artists?limit=${limit}&time_range=${timeRange}`;
-            const response = await fetch(url, {
-                headers: {
-                    'Authorization': `Bearer ${this.accessToken}`,
-                },
-            });
+        const url = pathOrUrl.startsWith('http') ? pathOrUrl : `${this.config.apiBaseUrl}${pathOrUrl}`;
+        let retries = 0;
+        let rateLimitRetries = 0;
+        let replayedAfterRefresh = false;
 
-            if (!response.ok) {
-                throw new Error(`Failed to fetch top artists: ${response.status} ${response.statusText}`);
+        while (true) {
+            let response;
+            try {
+                response = await fetch(url, {
+                    headers: {
+                        'Authorization': `Bearer ${this.accessToken}`,
+                    },
+                    signal,
+                });
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    throw error;
+                }
+                // Otherwise fetch only rejects when the request never got a response
+                if (retries < SPOTIFY_MAX_RETRIES) {
+                    await this.backoff(retries++, `Network error for ${url}`, signal);
+                    continue;
+                }
+                throw new SpotifyNetworkError(`Network error: ${error.message}`);
+            }
+
+            if (response.ok) {
+                return response.status === 204 ? null : await response.json();
+            }
+
+            if (response.status === 429) {
+                const retryAfter = parseInt(response.headers.get('Retry-After')) || 1;
+                if (rateLimitRetries < SPOTIFY_MAX_RATE_LIMIT_RETRIES && retryAfter <= SPOTIFY_MAX_RETRY_AFTER) {
+                    rateLimitRetries++;
+                    console.warn(`Rate limited by Spotify, retrying in ${retryAfter}s (attempt ${rateLimitRetries}/${SPOTIFY_MAX_RATE_LIMIT_RETRIES})`);
+                    await this.delay(retryAfter * 1000, signal);
+                    continue;
+                }
+                throw new SpotifyRateLimitError('Spotify rate limit reached', retryAfter);
+            }
+
+            if (response.status >= 500 && retries < SPOTIFY_MAX_RETRIES) {
+                await this.backoff(retries++, `Spotify returned ${response.status} for ${url}`, signal);
+                continue;
+            }
+
+            if (response.status === 401 && !replayedAfterRefresh) {
+                // Token was rejected before its expiry - get a new one and replay once
+                console.warn('Spotify rejected the access token, refreshing...');
+                replayedAfterRefresh = true;
+                if (this.isUserAuthenticated()) {
+                    await this.refreshAccessToken();
+                } else {
+                    await this.getClientCredentialsToken();
+                }
+                continue;
             }
 
+            const message = await this.readErrorMessage(response);
+            if (response.status === 401) {
+                throw new SpotifyAuthError(`Not authorized: ${message}`, response.status);
+            }
+            if (response.status === 404) {
+                throw new SpotifyNotFoundError(`Not found: ${message}`);
+            }
+            throw new SpotifyError(`Spotify request failed: ${response.status} ${message}`, response.status);
+        }
+    }
+
+    /**
+     * Wait before retrying a failed request (exponential backoff: 1s, 2s, 4s)
+     */
+    async backoff(retryCount, reason, signal) {
+        const delay = Math.pow(2, retryCount) * 1000;
+        console.warn(`${reason}, retrying in ${delay}ms (attempt ${retryCount + 1}/${SPOTIFY_MAX_RETRIES})`);
+        await this.delay(delay, signal);
+    }
+
+    /**
+     * Wait for a number of milliseconds, rejecting early if the signal aborts
+     */
+    delay(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(signal.reason);
+                return;
+            }
+            const onAbort = () => {
+                clearTimeout(timeout);
+                reject(signal.reason);
+            };
+            const timeout = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Run async tasks with at most `limit` in flight
+     * Resolves with the results in task order, or rejects with the first failure
+     */
+    async runWithConcurrency(tasks, limit, signal) {
+        const results = new Array(tasks.length);
+        let nextIndex = 0;
+        let failed = false;
+
+        const worker = async () => {
+            while (nextIndex < tasks.length && !failed) {
+                signal?.throwIfAborted();
+                const index = nextIndex++;
+                try {
+                    results[index] = await tasks[index]();
+                } catch (error) {
+                    failed = true;
+                    throw error;
+                }
+            }
+        };
+
+        const workerCount = Math.max(1, Math.min(limit, tasks.length));
+        await Promise.all(Array.from({ length: workerCount }, worker));
+        return results;
+    }
+
+    /**
+     * Get the error message from a failed Web API response
+     */
+    async readErrorMessage(response) {
+        try {
             const data = await response.json();
+            return data.error?.message || response.statusText;
+        } catch {
+            return response.statusText;
+        }
+    }
 
-            return data.items.map(artist => ({
-                id: artist.id,
-                name: artist.name,
-                image: artist.images[0]?.url || null,
-                popularity: artist.popularity,
-                genres: artist.genres,
-            }));
+    /**
+     * Get user's top artists (personalized!)
+     *
+     * @param {number} limit - Number of artists (max 50)
+     * @param {string} timeRange - 'short_term' (4 weeks), 'medium_term' (6 months), 'long_term' (years)
+     */
+    async getTopArtists(limit = 20, timeRange = 'medium_term', signal) {
+        try {
+            const data = await this.request(`/me/top/artists?limit=${limit}&time_range=${timeRange}`, { signal });
+
+            return data.items.map(artist => this.parseArtist(artist));
         } catch (error) {
             console.error('Error fetching top artists:', error);
             throw error;
@@ -383,32 +648,13 @@ class SpotifyClient {
      * Search for artists (doesn't require user authentication for public data)
      * But we still use the user's token if available
      */
-    async searchArtists(query, limit = 20) {
-        await this.ensureAuthenticated();
-
+    async searchArtists(query, limit = 20, signal) {
         try {
-            const url = `${this.config.apiBaseUrl}/search?q=${encodeURIComponent(query)}&type=artist&limit=${limit}`;
-            const response = await fetch(url, {
-                headers: {
-                    'Authorization': `Bearer ${this.accessToken}`,
-                },
-            });
-
-            if (!response.ok) {
-                throw new Error(`Search failed: ${response.status} ${response.statusText}`);
-            }
-
-            const data = await response.json();
+            const data = await this.request(`/search?q=${encodeURIComponent(query)}&type=artist&limit=${limit}`, { signal });
 
             return data.artists.items
                 .filter(artist => artist.images.length > 0)
-                .map(artist => ({
-                    id: artist.id,
-                    name: artist.name,
-                    image: artist.images[0]?.url || null,
-                    popularity: artist.popularity,
-                    genres: artist.genres,
-                }));
+                .map(artist => this.parseArtist(artist));
         } catch (error) {
             console.error('Error searching artists:', error);
             throw error;
@@ -418,16 +664,15 @@ class SpotifyClient {
     /**
      * Get multiple genres and combine unique artists
      */
-    async getArtistsByGenres(genres, limit = 20) {
-        await this.ensureAuthenticated();
-
+    async getArtistsByGenres(genres, limit = 20, signal) {
         const artistsMap = new Map();
 
         try {
             for (const genre of genres) {
                 if (artistsMap.size >= limit) break;
 
-                const artists = await this.searchArtists(`genre:${genre}`, 50);
+                // Quoted so multi-word genres like "hip hop" match as a whole
+                const artists = await this.searchArtists(`genre:"${genre}"`, 50, signal);
 
                 // Add unique artists sorted by popularity
                 const sortedArtists = artists.sort((a, b) => b.popularity - a.popularity);
@@ -451,89 +696,139 @@ class SpotifyClient {
      * Get artist details by ID
      */
     async getArtist(artistId) {
-        await this.ensureAuthenticated();
-
         try {
-            const url = `${this.config.apiBaseUrl}/artists/${artistId}`;
-            const response = await fetch(url, {
-                headers: {
-                    'Authorization': `Bearer ${this.accessToken}`,
-                },
-            });
+            const artist = await this.request(`/artists/${artistId}`);
 
-            if (!response.ok) {
-                throw new Error(`Failed to get artist: ${response.status} ${response.statusText}`);
-            }
-
-            const artist = await response.json();
-
-            return {
-                id: artist.id,
-                name: artist.name,
-                image: artist.images[0]?.url || null,
-                popularity: artist.popularity,
-                genres: artist.genres,
-            };
+            return this.parseArtist(artist);
         } catch (error) {
             console.error('Error getting artist:', error);
             throw error;
         }
     }
 
+    /**
+     * Keep the fields the game uses from a Spotify artist object
+     * image is the largest image, images every size ({ url, width, height }, largest first)
+     */
+    parseArtist(artist) {
+        return {
+            id: artist.id,
+            name: artist.name,
+            image: artist.images[0]?.url || null,
+            images: artist.images.map(({ url, width, height }) => ({ url, width, height })),
+            popularity: artist.popularity,
+            genres: artist.genres,
+        };
+    }
+
     /**
      * Get current user profile
      */
     async getCurrentUser() {
-        await this.ensureAuthenticated();
+        try {
+            return await this.request('/me');
+        } catch (error) {
+            console.error('Error getting user profile:', error);
+            throw error;
+        }
+    }
 
+    /**
+     * Get all of the user's playlists (own and followed), following pagination
+     *
+     * @param {Function} onPage - Called with (playlistsSoFar, total) after each page, for incremental rendering
+     */
+    async getUserPlaylists(onPage = null) {
         try {
-            const url = `${this.config.apiBaseUrl}/me`;
-            const response = await fetch(url, {
-                headers: {
-                    'Authorization': `Bearer ${this.accessToken}`,
-                },
-            });
+            const playlists = [];
+            let url = '/me/playlists?limit=50';
 
-            if (!response.ok) {
-                throw new Error(`Failed to get user profile: ${response.status} ${response.statusText}`);
+            while (url) {
+                const data = await this.request(url);
+
+                data.items
+                    .filter(playlist => playlist !== null)
+                    .forEach(playlist => {
+                        playlists.push({
+                            id: playlist.id,
+                            name: playlist.name,
+                            owner: playlist.owner.display_name,
+                            ownerId: playlist.owner.id,
+                            trackCount: playlist.tracks.total,
+                            image: playlist.images?.[0]?.url || null,
+                        });
+                    });
+
+                if (onPage) {
+                    onPage(playlists, data.total);
+                }
+
+                url = data.next;
             }
 
-            return await response.json();
+            return playlists;
         } catch (error) {
-            console.error('Error getting user profile:', error);
+            console.error('Error getting playlists:', error);
             throw error;
         }
     }
 
     /**
-     * Get user's playlists
+     * Get the number of tracks in the user's Liked Songs
      */
-    async getUserPlaylists(limit = 50) {
-        await this.ensureAuthenticated();
+    async getLikedSongsCount() {
+        try {
+            const data = await this.request('/me/tracks?limit=1');
+            return data.total;
+        } catch (error) {
+            console.error('Error getting liked songs:', error);
+            throw error;
+        }
+    }
 
+    /**
+     * Get the number of recently played tracks Spotify remembers (at most 50)
+     */
+    async getRecentlyPlayedCount() {
         try {
-            const url = `${this.config.apiBaseUrl}/me/playlists?limit=${limit}`;
-            const response = await fetch(url, {
-                headers: {
-                    'Authorization': `Bearer ${this.accessToken}`,
-                },
-            });
+            const data = await this.request('/me/player/recently-played?limit=50');
+            return data.items.length;
+        } catch (error) {
+            console.error('Error getting recently played tracks:', error);
+            throw error;
+        }
+    }
 
-            if (!response.ok) {
-                throw new Error(`Failed to get playlists: ${response.status} ${response.statusText}`);
+    /**
+     * Get the artists the user follows (cursor-paginated, 50 per page)
+     */
+    async getFollowedArtists(limit = 200, signal) {
+        try {
+            const artists = [];
+            let url = '/me/following?type=artist&limit=50';
+
+            while (url && artists.length < limit) {
+                const data = await this.request(url, { signal });
+                data.artists.items.forEach(artist => artists.push(this.parseArtist(artist)));
+                url = data.artists.next;
             }
 
-            const data = await response.json();
+            return artists.slice(0, limit);
+        } catch (error) {
+            console.error('Error getting followed artists:', error);
+            throw error;
+        }
+    }
 
-            return data.items.map(playlist => ({
-                id: playlist.id,
-                name: playlist.name,
-                owner: playlist.owner.display_name,
-                trackCount: playlist.tracks.total,
-                image: playlist.images[0]?.url || null,
-            }));
+    /**
+     * Get the number of artists the user follows
+     */
+    async getFollowedArtistsCount() {
+        try {
+            const data = await this.request('/me/following?type=artist&limit=1');
+            return data.artists.total;
         } catch (error) {
-            console.error('Error getting playlists:', error);
+            console.error('Error getting followed artists:', error);
             throw error;
         }
     }
@@ -542,21 +837,8 @@ class SpotifyClient {
      * Search for public playlists
      */
     async searchPlaylists(query, limit = 20) {
-        await this.ensureAuthenticated();
-
         try {
-            const url = `${this.config.apiBaseUrl}/search?q=${encodeURIComponent(query)}&type=playlist&limit=${limit}`;
-            const response = await fetch(url, {
-                headers: {
-                    'Authorization': `Bearer ${this.accessToken}`,
-                },
-            });
-
-            if (!response.ok) {
-                throw new Error(`Failed to search playlists: ${response.status} ${response.statusText}`);
-            }
-
-            const data = await response.json();
+            const data = await this.request(`/search?q=${encodeURIComponent(query)}&type=playlist&limit=${limit}`);
 
             // Filter out null entries that Spotify sometimes returns
             return data.playlists.items
@@ -575,190 +857,724 @@ class SpotifyClient {
     }
 
     /**
-     * Get artists from a playlist
+     * Get artists from a playlist (throws if the playlist can't be loaded)
      */
-    async getArtistsFromPlaylist(playlistId, progressCallback) {
-        await this.ensureAuthenticated();
+    async getArtistsFromPlaylist(playlistId, progressCallback, options = {}) {
+        const { artists, outcomes } = await this.getArtistsFromSources([playlistId], progressCallback, options);
+        if (outcomes[0].error) {
+            throw outcomes[0].error;
+        }
+        return artists;
+    }
 
-        const artistsMap = new Map();
+    /**
+     * Check if an error only affects the source it happened in
+     * Cancelling and expired sessions stop loading altogether.
+     */
+    isSourceFailure(error) {
+        return error.name !== 'AbortError' && !(error instanceof SpotifyAuthError);
+    }
 
-        try {
-            // Fetch all tracks from playlist (might need pagination)
-            let url = `${this.config.apiBaseUrl}/playlists/${playlistId}/tracks?limit=100`;
-            let totalTracks = 0;
-            let fetchedTracks = 0;
+    /**
+     * Classify why a source failed: 'not-found', 'forbidden', 'rate-limited' or 'failed'
+     */
+    classifySourceFailure(error) {
+        if (error instanceof SpotifyNotFoundError) return 'not-found';
+        if (error instanceof SpotifyRateLimitError) return 'rate-limited';
+        if (error instanceof SpotifyError && error.status === 403) return 'forbidden';
+        return 'failed';
+    }
 
-            while (url) {
-                const response = await fetch(url, {
-                    headers: {
-                        'Authorization': `Bearer ${this.accessToken}`,
-                    },
+    /**
+     * Check if a source is a list of artists (top/related/followed/decade/genre artists) rather than a list of tracks
+     */
+    isArtistSource(sourceId) {
+        return sourceId === RELATED_ARTISTS_SOURCE_ID || sourceId === FOLLOWED_ARTISTS_SOURCE_ID ||
+            [TOP_ARTISTS_SOURCE_PREFIX, DECADE_SOURCE_PREFIX, GENRE_SOURCE_PREFIX].some(prefix => sourceId.startsWith(prefix));
+    }
+
+    /**
+     * Get the artists of a single artist source
+     */
+    getArtistSourceList(sourceId, timeRange, signal) {
+        if (sourceId === RELATED_ARTISTS_SOURCE_ID) {
+            return this.getRelatedArtists(50, timeRange, signal);
+        }
+        if (sourceId === FOLLOWED_ARTISTS_SOURCE_ID) {
+            return this.getFollowedArtists(200, signal);
+        }
+        if (sourceId.startsWith(DECADE_SOURCE_PREFIX)) {
+            return this.getArtistsByDecade(sourceId.slice(DECADE_SOURCE_PREFIX.length), 50, signal);
+        }
+        if (sourceId.startsWith(GENRE_SOURCE_PREFIX)) {
+            return this.getArtistsByGenres([sourceId.slice(GENRE_SOURCE_PREFIX.length)], 50, signal);
+        }
+        return this.getTopArtists(50, sourceId.slice(TOP_ARTISTS_SOURCE_PREFIX.length), signal);
+    }
+
+    /**
+     * Get artists from any mix of sources: playlists, Liked Songs, recently played tracks,
+     * top/related/followed artists, decades and genres
+     * Track pages and artist batches are fetched in parallel, and each artist is only looked up once.
+     * Unchanged playlists and recently fetched artists come from the cache when there is one.
+     * A source that fails (private, deleted, rate limited...) is left out instead of failing the rest.
+     *
+     * Returns { artists, outcomes }, with an outcome per source in sourceIds order:
+     * { sourceId, status: 'ok' | 'empty' | 'not-found' | 'forbidden' | 'rate-limited' | 'failed', artistCount, error }
+     *
+     * @param {string[]} sourceIds - Playlist ids, LIKED_SONGS_SOURCE_ID, RECENTLY_PLAYED_SOURCE_ID,
+     *                               TOP_ARTISTS_SOURCE_PREFIX + time range, RELATED_ARTISTS_SOURCE_ID,
+     *                               FOLLOWED_ARTISTS_SOURCE_ID, DECADE_SOURCE_PREFIX + decade or GENRE_SOURCE_PREFIX + genre
+     * @param {Function} progressCallback - Called with { stage: 'tracks' | 'artists', percent }
+     * @param {Object} options - { signal } to cancel loading, { concurrency } parallel requests,
+     *                           { timeRange } of the top artists that related artists are based on,
+     *                           { fallbacks } playlistId -> search query for curated playlists that may disappear,
+     *                           { onSourceReplaced(playlistId, replacement) } called when a fallback is used,
+     *                           { featuredArtists } FEATURED_ARTISTS_PRIMARY, _ALL or _IF_LEADING
+     */
+    async getArtistsFromSources(sourceIds, progressCallback, {
+        signal,
+        concurrency,
+        timeRange = 'medium_term',
+        fallbacks = {},
+        onSourceReplaced,
+        featuredArtists = FEATURED_ARTISTS_PRIMARY
+    } = {}) {
+        const limit = concurrency || this.config.requestConcurrency || SPOTIFY_DEFAULT_CONCURRENCY;
+        const reportProgress = (stage, done, total) => {
+            if (progressCallback) {
+                progressCallback({ stage, percent: total > 0 ? Math.min(100, Math.round((done / total) * 100)) : 100 });
+            }
+        };
+
+        // Track pages and artist-source hint tracks share the 'tracks' stage
+        const trackProgress = { playlists: { done: 0, total: 0 }, artistSources: { done: 0, total: 0 } };
+        const reportTrackProgress = (part, done, total) => {
+            trackProgress[part] = { done, total };
+            reportProgress(
+                'tracks',
+                trackProgress.playlists.done + trackProgress.artistSources.done,
+                trackProgress.playlists.total + trackProgress.artistSources.total
+            );
+        };
+
+        const playlistIds = sourceIds.filter(id => !this.isArtistSource(id));
+        const artistSourceIds = sourceIds.filter(id => this.isArtistSource(id));
+
+        // Failed sources, sourceId -> error (anything fatal is rethrown)
+        const failures = new Map();
+        const failSource = (sourceId, error) => {
+            if (!this.isSourceFailure(error)) {
+                throw error;
+            }
+            console.warn(`Source ${sourceId} failed, leaving it out:`, error);
+            failures.set(sourceId, error);
+        };
+
+        try {
+            // Playlist ids to actually fetch - curated playlists may have been replaced
+            const fetchIds = await this.resolveCuratedPlaylists(playlistIds, fallbacks, onSourceReplaced, limit, signal, failSource);
+
+            // Artists ({ id, name, tracks, featuredTracks, leadsTrack }) of each playlist,
+            // in playlist order (none for failed playlists)
+            const playlistArtists = playlistIds.map(playlistId => failures.has(playlistId) ? [] : undefined);
+
+            // Reuse cached playlists whose snapshot id hasn't changed
+            // (library sources like Liked Songs have no snapshot id, so they are always downloaded)
+            let snapshots = [];
+            if (this.cache) {
+                snapshots = await this.runWithConcurrency(
+                    fetchIds.map((playlistId, i) => async () => {
+                        if (playlistArtists[i] || LIBRARY_TRACK_SOURCES[playlistId]) {
+                            return null;
+                        }
+                        try {
+                            return await this.request(`/playlists/${playlistId}?fields=snapshot_id,name`, { signal });
+                        } catch (error) {
+                            failSource(playlistIds[i], error);
+                            playlistArtists[i] = [];
+                            return null;
+                        }
+                    }),
+                    limit,
+                    signal
+                );
+                const cached = await this.readCache(
+                    () => Promise.all(fetchIds.map((playlistId, i) => snapshots[i]
+                        ? this.cache.getPlaylist(playlistId, snapshots[i].snapshot_id)
+                        : null)),
+                    []
+                );
+                cached.forEach((playlist, i) => {
+                    if (playlist) {
+                        playlistArtists[i] = playlist.artists;
+                    }
                 });
+            }
 
-                if (!response.ok) {
-                    throw new Error(`Failed to get playlist tracks: ${response.status} ${response.statusText}`);
+            const uncachedIndexes = playlistIds.map((_, i) => i).filter(i => !playlistArtists[i]);
+            console.log(`Playlists: ${playlistIds.length - uncachedIndexes.length - failures.size} from cache, ${uncachedIndexes.length} to download`);
+
+            const pagesByPlaylist = await this.fetchPlaylistPages(
+                uncachedIndexes.map(i => fetchIds[i]),
+                (done, total) => reportTrackProgress('playlists', done, total),
+                limit,
+                signal,
+                (j, error) => failSource(playlistIds[uncachedIndexes[j]], error)
+            );
+            pagesByPlaylist.forEach((pages, j) => {
+                const i = uncachedIndexes[j];
+                if (!pages) {
+                    playlistArtists[i] = [];
+                    return;
                 }
+                playlistArtists[i] = this.extractPlaylistArtists(pages);
+
+                if (this.cache && snapshots[i]) {
+                    this.writeCache(() => this.cache.putPlaylist({
+                        id: fetchIds[i],
+                        name: snapshots[i].name,
+                        snapshotId: snapshots[i].snapshot_id,
+                        artists: playlistArtists[i]
+                    }));
+                }
+            });
 
-                const data = await response.json();
-
-                // Set total on first page
-                if (totalTracks === 0) {
-                    totalTracks = data.total;
+            // Artist sources only look up hints for artists the track sources give no tracks
+            // (featured tracks only count as hints when every featured artist joins the pool -
+            // otherwise they only do for artists that lead a track, and so have tracks anyway)
+            const hintedArtistIds = new Set();
+            playlistArtists.forEach(artists => artists.forEach(artist => {
+                const featuredHints = featuredArtists === FEATURED_ARTISTS_ALL && artist.featuredTracks.length > 0;
+                if (artist.tracks.length > 0 || featuredHints) {
+                    hintedArtistIds.add(artist.id);
                 }
+            }));
 
-                // Extract unique artists (primary artist only, skip features)
-                // Also collect track names for hints
-                data.items.forEach(item => {
-                    if (item.track && item.track.artists && item.track.artists.length > 0) {
-                        // Only take the first artist (primary), not featured artists
-                        const artist = item.track.artists[0];
-                        if (!artistsMap.has(artist.id)) {
-                            artistsMap.set(artist.id, {
-                                id: artist.id,
-                                name: artist.name,
-                                tracks: []
-                            });
-                        }
-                        // Add track name to this artist's track list (for hints)
-                        if (item.track.name) {
-                            artistsMap.get(artist.id).tracks.push(item.track.name);
-                        }
+            const artistSources = await this.getArtistSourceArtists(
+                artistSourceIds,
+                timeRange,
+                (done, total) => reportTrackProgress('artistSources', done, total),
+                limit,
+                signal,
+                failSource,
+                hintedArtistIds
+            );
+
+            // Combine sources - an artist's hint tracks come from all of them,
+            // and each artist remembers which sources it came from (for source weights and quotas)
+            const artistsMap = new Map();
+            const addArtist = (artist, sourceId, tracks = artist.tracks) => {
+                if (!artistsMap.has(artist.id)) {
+                    artistsMap.set(artist.id, { id: artist.id, name: artist.name, tracks: [], sources: [] });
+                }
+                const entry = artistsMap.get(artist.id);
+                tracks.forEach(track => {
+                    if (!entry.tracks.includes(track)) {
+                        entry.tracks.push(track);
                     }
                 });
+                if (!entry.sources.includes(sourceId)) {
+                    entry.sources.push(sourceId);
+                }
+            };
+            playlistArtists.forEach((artists, i) => artists.forEach(artist => {
+                if (artist.leadsTrack) {
+                    addArtist(artist, playlistIds[i]);
+                }
+            }));
+            artistSources.artists.forEach(artist => artist.sources.forEach(sourceId => addArtist(artist, sourceId)));
+
+            // Featured artists come in with the tracks they are featured on as hints -
+            // all of them, or only those that lead a track in one of the track sources
+            // (being in the pool from an artist source doesn't count)
+            if (featuredArtists !== FEATURED_ARTISTS_PRIMARY) {
+                const leadArtistIds = new Set();
+                playlistArtists.forEach(artists => artists.forEach(artist => {
+                    if (artist.leadsTrack) {
+                        leadArtistIds.add(artist.id);
+                    }
+                }));
 
-                fetchedTracks += data.items.length;
+                playlistArtists.forEach((artists, i) => artists.forEach(artist => {
+                    if (artist.featuredTracks.length === 0) return;
+                    if (featuredArtists === FEATURED_ARTISTS_ALL || leadArtistIds.has(artist.id)) {
+                        addArtist(artist, playlistIds[i], artist.featuredTracks);
+                    }
+                }));
+            }
 
-                // Report progress as percentage
-                if (progressCallback && totalTracks > 0) {
-                    const percent = Math.round((fetchedTracks / totalTracks) * 100);
-                    progressCallback({ stage: 'tracks', percent });
+            const details = await this.getArtistDetails(
+                Array.from(artistsMap.keys()),
+                (done, total) => reportProgress('artists', done, total),
+                limit,
+                signal,
+                artistSources.details
+            );
+
+            const artists = details.map(artist => ({
+                ...artist,
+                tracks: artistsMap.get(artist.id).tracks,
+                sources: artistsMap.get(artist.id).sources
+            }));
+
+            const outcomes = sourceIds.map(sourceId => {
+                const error = failures.get(sourceId);
+                if (error) {
+                    return { sourceId, status: this.classifySourceFailure(error), artistCount: 0, error };
                 }
+                const artistCount = artists.filter(artist => artist.sources.includes(sourceId)).length;
+                return { sourceId, status: artistCount > 0 ? 'ok' : 'empty', artistCount, error: null };
+            });
 
-                // Get next page if available
-                url = data.next;
+            console.log(`Loaded ${artists.length} artists from ${sourceIds.length - failures.size} of ${sourceIds.length} source(s)`);
+            return { artists, outcomes };
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('Error getting artists from sources:', error);
             }
+            throw error;
+        }
+    }
 
-            // Fetch full artist details for each unique artist
-            const artistIds = Array.from(artistsMap.keys());
-            const artists = [];
-            const totalBatches = Math.ceil(artistIds.length / 50);
+    /**
+     * Find the playlist ids to fetch, replacing curated playlists that are no longer accessible
+     * A curated playlist (one with a fallback search query) is checked first; if Spotify no longer
+     * serves it, the best-matching public playlist from the search is used and remembered.
+     * Returns the ids to fetch, in the order of playlistIds (null for playlists passed to onFailure).
+     */
+    async resolveCuratedPlaylists(playlistIds, fallbacks, onSourceReplaced, limit, signal, onFailure) {
+        const substitutions = this.getPlaylistSubstitutions();
 
-            // Fetch in batches of 50 (Spotify API limit)
-            for (let i = 0; i < artistIds.length; i += 50) {
-                const batch = artistIds.slice(i, i + 50);
-                const batchUrl = `${this.config.apiBaseUrl}/artists?ids=${batch.join(',')}`;
+        return this.runWithConcurrency(
+            playlistIds.map(playlistId => async () => {
+                try {
+                    return await this.resolveCuratedPlaylist(playlistId, fallbacks[playlistId], substitutions, onSourceReplaced, signal);
+                } catch (error) {
+                    onFailure(playlistId, error);
+                    return null;
+                }
+            }),
+            limit,
+            signal
+        );
+    }
 
-                const response = await fetch(batchUrl, {
-                    headers: {
-                        'Authorization': `Bearer ${this.accessToken}`,
-                    },
-                });
+    /**
+     * Find the playlist id to fetch for one playlist (see resolveCuratedPlaylists)
+     */
+    async resolveCuratedPlaylist(playlistId, fallbackQuery, substitutions, onSourceReplaced, signal) {
+        if (!fallbackQuery) {
+            return playlistId;
+        }
 
-                if (!response.ok) {
-                    console.warn('Failed to fetch artist details for batch');
-                    continue;
+        // Try the remembered replacement first, then the original
+        const substitution = substitutions[playlistId];
+        const candidateId = substitution ? substitution.id : playlistId;
+        try {
+            await this.request(`/playlists/${candidateId}?fields=id`, { signal });
+            if (substitution) {
+                onSourceReplaced?.(playlistId, substitution);
+            }
+            return candidateId;
+        } catch (error) {
+            const inaccessible = error instanceof SpotifyNotFoundError ||
+                (error instanceof SpotifyError && error.status === 403);
+            if (!inaccessible) throw error;
+            console.warn(`Curated playlist ${candidateId} is unavailable, searching for "${fallbackQuery}"`);
+        }
+
+        const results = await this.searchPlaylists(fallbackQuery);
+        const replacement = this.pickBestPlaylistMatch(
+            fallbackQuery,
+            results.filter(playlist => playlist.id !== playlistId && playlist.id !== candidateId)
+        );
+        if (!replacement) {
+            throw new SpotifyNotFoundError(`No replacement found for playlist ${playlistId} ("${fallbackQuery}")`);
+        }
+
+        const remembered = { id: replacement.id, name: replacement.name };
+        this.rememberPlaylistSubstitution(playlistId, remembered);
+        console.log(`Replaced curated playlist ${playlistId} with "${replacement.name}" (${replacement.id})`);
+        onSourceReplaced?.(playlistId, remembered);
+        return replacement.id;
+    }
+
+    /**
+     * Pick the search result that best matches a query
+     * Playlists whose name contains every word of the query win, then Spotify's own, then bigger ones.
+     */
+    pickBestPlaylistMatch(query, playlists) {
+        const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+        const score = playlist => {
+            const name = playlist.name.toLowerCase();
+            const matchedWords = words.filter(word => name.includes(word)).length;
+            return [matchedWords, playlist.owner === 'Spotify' ? 1 : 0, playlist.trackCount];
+        };
+
+        const candidates = playlists.filter(playlist => playlist.trackCount > 0);
+        candidates.sort((a, b) => {
+            const scoreA = score(a);
+            const scoreB = score(b);
+            return scoreB[0] - scoreA[0] || scoreB[1] - scoreA[1] || scoreB[2] - scoreA[2];
+        });
+        return candidates[0] || null;
+    }
+
+    /**
+     * Get remembered replacements of curated playlists (original id -> { id, name })
+     */
+    getPlaylistSubstitutions() {
+        try {
+            return JSON.parse(localStorage.getItem(PLAYLIST_SUBSTITUTIONS_KEY)) || {};
+        } catch (error) {
+            console.warn('Ignoring unreadable playlist substitutions:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Remember the replacement of a curated playlist for future games
+     */
+    rememberPlaylistSubstitution(playlistId, replacement) {
+        const substitutions = this.getPlaylistSubstitutions();
+        substitutions[playlistId] = replacement;
+        localStorage.setItem(PLAYLIST_SUBSTITUTIONS_KEY, JSON.stringify(substitutions));
+    }
+
+    /**
+     * Get the artists of artist sources, with their top tracks as hints
+     * Hints come from the user's top tracks (for top artists) and cached top tracks first;
+     * only ARTIST_SOURCE_HINT_LOOKUPS artists per source are looked up one by one.
+     * Returns { artists: [{ id, name, tracks, sources }], details: artistId -> full artist }
+     *
+     * @param {Set} hintedArtistIds - Artists that already have hints from track sources
+     */
+    async getArtistSourceArtists(sourceIds, timeRange, onProgress, limit, signal, onFailure, hintedArtistIds = new Set()) {
+        const details = new Map();
+        if (sourceIds.length === 0) {
+            return { artists: [], details };
+        }
+
+        const lists = await this.runWithConcurrency(
+            sourceIds.map(sourceId => async () => {
+                try {
+                    return await this.getArtistSourceList(sourceId, timeRange, signal);
+                } catch (error) {
+                    onFailure(sourceId, error);
+                    return [];
                 }
+            }),
+            limit,
+            signal
+        );
+        const sourcesByArtist = new Map();
+        lists.forEach((artists, i) => artists.forEach(artist => {
+            details.set(artist.id, artist);
+            if (!sourcesByArtist.has(artist.id)) {
+                sourcesByArtist.set(artist.id, []);
+            }
+            sourcesByArtist.get(artist.id).push(sourceIds[i]);
+        }));
 
-                const data = await response.json();
+        const artistIds = Array.from(details.keys());
+        const hints = await this.getTopArtistHints(sourceIds, signal);
+        const needsHints = artistId => !hintedArtistIds.has(artistId) && !hints.has(artistId);
 
-                data.artists.forEach(artist => {
-                    if (artist) {
-                        // Get track names from the artistsMap we built earlier
-                        const tracksData = artistsMap.get(artist.id);
-                        artists.push({
-                            id: artist.id,
-                            name: artist.name,
-                            image: artist.images[0]?.url || null,
-                            popularity: artist.popularity,
-                            genres: artist.genres,
-                            tracks: tracksData ? tracksData.tracks : []
-                        });
+        // Top tracks looked up in earlier games
+        if (this.cache) {
+            const cached = await this.readCache(() => this.cache.getTopTracks(artistIds.filter(needsHints)), new Map());
+            cached.forEach((tracks, artistId) => hints.set(artistId, tracks));
+        }
+
+        // Look up the rest, for the first few artists of each source
+        const lookupIds = new Set();
+        lists.forEach(artists => artists
+            .filter(artist => needsHints(artist.id))
+            .slice(0, ARTIST_SOURCE_HINT_LOOKUPS)
+            .forEach(artist => lookupIds.add(artist.id)));
+
+        // Anonymous sessions have no account country, so they get US top tracks
+        const market = this.isUserAuthenticated() ? 'from_token' : 'US';
+        const looked = [];
+        let done = 0;
+        onProgress(done, lookupIds.size);
+
+        await this.runWithConcurrency(
+            Array.from(lookupIds).map(artistId => async () => {
+                try {
+                    const data = await this.request(`/artists/${artistId}/top-tracks?market=${market}`, { signal });
+                    const tracks = data.tracks.map(track => track.name);
+                    hints.set(artistId, tracks);
+                    looked.push({ id: artistId, tracks });
+                } catch (error) {
+                    // An artist without hints is still playable
+                    if (!this.isSourceFailure(error)) throw error;
+                    console.warn(`No top tracks for artist ${artistId}:`, error);
+                }
+                onProgress(++done, lookupIds.size);
+            }),
+            Math.min(limit, HINT_LOOKUP_CONCURRENCY),
+            signal
+        );
+        console.log(`Artist source hints: ${lookupIds.size} looked up, ${artistIds.length - lookupIds.size} from other sources, the cache or none`);
+
+        if (this.cache && looked.length > 0) {
+            this.writeCache(() => this.cache.putTopTracks(looked));
+        }
+
+        return {
+            artists: artistIds.map(artistId => ({
+                id: artistId,
+                name: details.get(artistId).name,
+                tracks: hints.get(artistId) || [],
+                sources: sourcesByArtist.get(artistId)
+            })),
+            details
+        };
+    }
+
+    /**
+     * Get hint tracks for top artists from the user's top tracks of the same time ranges
+     * Returns artistId -> track names (one request per time range, whatever can be had)
+     */
+    async getTopArtistHints(sourceIds, signal) {
+        const hints = new Map();
+        const timeRanges = [...new Set(sourceIds
+            .filter(sourceId => sourceId.startsWith(TOP_ARTISTS_SOURCE_PREFIX))
+            .map(sourceId => sourceId.slice(TOP_ARTISTS_SOURCE_PREFIX.length)))];
+
+        for (const timeRange of timeRanges) {
+            try {
+                const data = await this.request(`/me/top/tracks?limit=50&time_range=${timeRange}`, { signal });
+                data.items.forEach(track => {
+                    const artist = track.artists && track.artists[0];
+                    if (!artist || !artist.id) return;
+                    if (!hints.has(artist.id)) {
+                        hints.set(artist.id, []);
+                    }
+                    if (!hints.get(artist.id).includes(track.name)) {
+                        hints.get(artist.id).push(track.name);
                     }
                 });
+            } catch (error) {
+                // Hints are optional
+                if (!this.isSourceFailure(error)) throw error;
+                console.warn(`No top tracks for ${timeRange}:`, error);
+            }
+        }
 
-                // Report progress as percentage for artist details
-                if (progressCallback) {
-                    const percent = Math.round(((i + 50) / artistIds.length) * 100);
-                    progressCallback({ stage: 'artists', percent: Math.min(percent, 100) });
+        return hints;
+    }
+
+    /**
+     * Fetch all track pages of the given playlists (or library track sources)
+     * Returns the pages of each playlist, in playlist and page order,
+     * or null for playlists that failed (reported through onFailure(index, error))
+     */
+    async fetchPlaylistPages(playlistIds, onProgress, limit, signal, onFailure) {
+        if (playlistIds.length === 0) {
+            return [];
+        }
+
+        // Library source pages hold at most 50 tracks, playlist pages 100
+        const tracksPaths = playlistIds.map(playlistId => LIBRARY_TRACK_SOURCES[playlistId]
+            ? LIBRARY_TRACK_SOURCES[playlistId].path
+            : `/playlists/${playlistId}/tracks`);
+        const pageSizes = playlistIds.map(playlistId => LIBRARY_TRACK_SOURCES[playlistId]
+            ? LIBRARY_TRACK_SOURCES[playlistId].pageSize
+            : 100);
+
+        // The first page of each playlist tells us how many more pages to fetch
+        const firstPages = await this.runWithConcurrency(
+            tracksPaths.map((path, i) => async () => {
+                try {
+                    return await this.request(`${path}?limit=${pageSizes[i]}`, { signal });
+                } catch (error) {
+                    onFailure(i, error);
+                    return null;
                 }
+            }),
+            limit,
+            signal
+        );
+
+        // Recently played has a single cursor-paged page without a total
+        firstPages.forEach(page => {
+            if (page && page.total === undefined) {
+                page.total = page.items.length;
+                page.offset = 0;
             }
+        });
 
-            return artists;
-        } catch (error) {
-            console.error('Error getting artists from playlist:', error);
-            throw error;
-        }
+        const loadedPages = firstPages.filter(Boolean);
+        const totalTracks = loadedPages.reduce((sum, page) => sum + page.total, 0);
+        let fetchedTracks = loadedPages.reduce((sum, page) => sum + page.items.length, 0);
+        onProgress(fetchedTracks, totalTracks);
+
+        // Fetch the remaining pages of all playlists in parallel
+        const pagesByPlaylist = firstPages.map(page => page ? [page] : null);
+        const pageTasks = [];
+        firstPages.forEach((page, playlistIndex) => {
+            if (!page || !page.next) return;
+            for (let offset = page.limit; offset < page.total; offset += page.limit) {
+                const url = `${tracksPaths[playlistIndex]}?limit=${page.limit}&offset=${offset}`;
+                pageTasks.push(async () => {
+                    // Skip the rest of a playlist once one of its pages failed
+                    if (!pagesByPlaylist[playlistIndex]) return;
+                    try {
+                        const data = await this.request(url, { signal });
+                        pagesByPlaylist[playlistIndex]?.push(data);
+                        fetchedTracks += data.items.length;
+                        onProgress(fetchedTracks, totalTracks);
+                    } catch (error) {
+                        if (pagesByPlaylist[playlistIndex]) {
+                            onFailure(playlistIndex, error);
+                            pagesByPlaylist[playlistIndex] = null;
+                        }
+                    }
+                });
+            }
+        });
+        await this.runWithConcurrency(pageTasks, limit, signal);
+
+        return pagesByPlaylist.map(pages => pages && pages.sort((a, b) => a.offset - b.offset));
     }
 
     /**
-     * Get artists from multiple playlists
+     * Extract unique credited artists with their track names (for hints) from a playlist's track pages
+     * The first artist of a track leads it, the others are featured: tracks holds the names of the
+     * tracks an artist leads, featuredTracks those they are featured on, and leadsTrack whether they lead any
      */
-    async getArtistsFromPlaylists(playlistIds, progressCallback) {
+    extractPlaylistArtists(pages) {
         const artistsMap = new Map();
 
-        for (let i = 0; i < playlistIds.length; i++) {
-            const playlistId = playlistIds[i];
-            const playlistNum = i + 1;
-            const totalPlaylists = playlistIds.length;
-
-            const playlistProgress = (progress) => {
-                if (progressCallback) {
-                    progressCallback({
-                        playlistNum,
-                        totalPlaylists,
-                        stage: progress.stage,
-                        percent: progress.percent
-                    });
-                }
-            };
+        pages.forEach(page => {
+            page.items.forEach(item => {
+                if (!item.track || !item.track.artists) return;
 
-            const artists = await this.getArtistsFromPlaylist(playlistId, playlistProgress);
-            artists.forEach(artist => {
-                if (!artistsMap.has(artist.id)) {
-                    artistsMap.set(artist.id, artist);
-                }
+                item.track.artists.forEach((artist, position) => {
+                    // Local files have artists without ids
+                    if (!artist.id) return;
+
+                    if (!artistsMap.has(artist.id)) {
+                        artistsMap.set(artist.id, {
+                            id: artist.id,
+                            name: artist.name,
+                            tracks: [],
+                            featuredTracks: [],
+                            leadsTrack: false
+                        });
+                    }
+                    const entry = artistsMap.get(artist.id);
+                    if (position === 0) {
+                        entry.leadsTrack = true;
+                    }
+                    // Add track name to this artist's track list (for hints)
+                    if (item.track.name) {
+                        (position === 0 ? entry.tracks : entry.featuredTracks).push(item.track.name);
+                    }
+                });
             });
-        }
+        });
 
         return Array.from(artistsMap.values());
     }
 
     /**
-     * Get related artists based on user's top artists
+     * Get full details of artists, from the cache or in parallel batches of 50 (Spotify API limit)
+     * Returns artists in the order of the given ids, leaving out unknown ones
+     *
+     * @param {Map} knownDetails - artistId -> details already at hand (no need to fetch)
      */
-    async getRelatedArtists(limit = 50) {
-        await this.ensureAuthenticated();
+    async getArtistDetails(artistIds, onProgress, limit, signal, knownDetails = new Map()) {
+        const details = this.cache
+            ? await this.readCache(() => this.cache.getArtists(artistIds), new Map())
+            : new Map();
+        knownDetails.forEach((artist, artistId) => {
+            if (artistIds.includes(artistId)) {
+                details.set(artistId, artist);
+            }
+        });
+
+        const missingIds = artistIds.filter(id => !details.has(id));
+        console.log(`Artists: ${details.size} from cache, ${missingIds.length} to download`);
+
+        const batches = [];
+        for (let i = 0; i < missingIds.length; i += 50) {
+            batches.push(missingIds.slice(i, i + 50));
+        }
+
+        let doneArtists = details.size;
+        onProgress(doneArtists, artistIds.length);
+
+        const fetched = [];
+        await this.runWithConcurrency(
+            batches.map(batch => async () => {
+                const data = await this.request(`/artists?ids=${batch.join(',')}`, { signal });
+                data.artists.forEach(artist => {
+                    if (artist) {
+                        fetched.push(this.parseArtist(artist));
+                    }
+                });
+                doneArtists += batch.length;
+                onProgress(doneArtists, artistIds.length);
+            }),
+            limit,
+            signal
+        );
+
+        fetched.forEach(artist => details.set(artist.id, artist));
+        if (this.cache && fetched.length > 0) {
+            this.writeCache(() => this.cache.putArtists(fetched));
+        }
+
+        return artistIds.filter(id => details.has(id)).map(id => details.get(id));
+    }
+
+    /**
+     * Read from the cache, falling back to a default if the cache is unavailable
+     */
+    async readCache(read, fallback) {
+        try {
+            return await read();
+        } catch (error) {
+            console.warn('Cache read failed, downloading instead:', error);
+            return fallback;
+        }
+    }
 
+    /**
+     * Write to the cache in the background - a failed write only costs a download next time
+     */
+    writeCache(write) {
+        write().catch(error => console.warn('Cache write failed:', error));
+    }
+
+    /**
+     * Get related artists based on user's top artists
+     */
+    async getRelatedArtists(limit = 50, timeRange = 'medium_term', signal) {
         try {
             // Get user's top artists first
-            const topArtists = await this.getTopArtists(5);
+            const topArtists = await this.getTopArtists(5, timeRange, signal);
             const artistsMap = new Map();
 
             // For each top artist, get related artists
             for (const artist of topArtists) {
-                const url = `${this.config.apiBaseUrl}/artists/${artist.id}/related-artists`;
-                const response = await fetch(url, {
-                    headers: {
-                        'Authorization': `Bearer ${this.accessToken}`,
-                    },
-                });
-
-                if (!response.ok) {
-                    console.warn('Failed to get related artists for', artist.name);
+                let data;
+                try {
+                    data = await this.request(`/artists/${artist.id}/related-artists`, { signal });
+                } catch (error) {
+                    // Not every artist has related artists - anything else is a real failure
+                    if (!(error instanceof SpotifyNotFoundError)) throw error;
+                    console.warn('No related artists for', artist.name);
                     continue;
                 }
 
-                const data = await response.json();
-
                 data.artists.forEach(relatedArtist => {
                     if (!artistsMap.has(relatedArtist.id) && artistsMap.size < limit) {
-                        artistsMap.set(relatedArtist.id, {
-                            id: relatedArtist.id,
-                            name: relatedArtist.name,
-                            image: relatedArtist.images[0]?.url || null,
-                            popularity: relatedArtist.popularity,
-                            genres: relatedArtist.genres,
-                        });
+                        artistsMap.set(relatedArtist.id, this.parseArtist(relatedArtist));
                     }
                 });
 
@@ -775,9 +1591,7 @@ class SpotifyClient {
     /**
      * Get artists from a decade using year search
      */
-    async getArtistsByDecade(decade, limit = 50) {
-        await this.ensureAuthenticated();
-
+    async getArtistsByDecade(decade, limit = 50, signal) {
         try {
             // Map decade to year range
             const yearRanges = {
@@ -796,28 +1610,11 @@ class SpotifyClient {
             }
 
             // Search for popular artists from that era
-            const url = `${this.config.apiBaseUrl}/search?q=year:${yearRange}&type=artist&limit=${limit}`;
-            const response = await fetch(url, {
-                headers: {
-                    'Authorization': `Bearer ${this.accessToken}`,
-                },
-            });
-
-            if (!response.ok) {
-                throw new Error(`Failed to search decade: ${response.status} ${response.statusText}`);
-            }
-
-            const data = await response.json();
+            const data = await this.request(`/search?q=year:${yearRange}&type=artist&limit=${limit}`, { signal });
 
             return data.artists.items
                 .filter(artist => artist.images.length > 0)
-                .map(artist => ({
-                    id: artist.id,
-                    name: artist.name,
-                    image: artist.images[0]?.url || null,
-                    popularity: artist.popularity,
-                    genres: artist.genres,
-                }))
+                .map(artist => this.parseArtist(artist))
                 .sort((a, b) => b.popularity - a.popularity); // Sort by popularity
         } catch (error) {
             console.error('Error getting artists by decade:', error);
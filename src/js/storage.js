@@ -0,0 +1,159 @@
+/**
+ * Local Database
+ * Small promise wrapper around IndexedDB for data kept between games.
+ * All object stores are declared here so the schema is upgraded in one place.
+ */
+
+const DB_NAME = 'guess-the-artist';
+
+// Bump when adding object stores or indexes (and handle the upgrade below)
+const DB_VERSION = 4;
+
+let dbPromise = null;
+
+/**
+ * Open (and create or upgrade) the database
+ */
+function openDatabase() {
+    if (dbPromise) {
+        return dbPromise;
+    }
+
+    dbPromise = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+            reject(new Error('IndexedDB is not supported in this browser'));
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = (event) => {
+            const db = request.result;
+            console.log(`Upgrading database from version ${event.oldVersion} to ${DB_VERSION}`);
+
+            // Version 1: completed games
+            if (event.oldVersion < 1) {
+                const games = db.createObjectStore('games', { keyPath: 'id' });
+                games.createIndex('endedAt', 'endedAt');
+            }
+
+            // Version 2: player profiles
+            if (event.oldVersion < 2) {
+                db.createObjectStore('profiles', { keyPath: 'id' });
+            }
+
+            // Version 3: cached Spotify playlist and artist metadata
+            if (event.oldVersion < 3) {
+                db.createObjectStore('playlists', { keyPath: 'id' });
+                db.createObjectStore('artists', { keyPath: 'id' });
+            }
+
+            // Version 4: cached top tracks of artists (hints for artist sources)
+            if (event.oldVersion < 4) {
+                db.createObjectStore('topTracks', { keyPath: 'id' });
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    // Allow retrying if opening failed
+    dbPromise.catch(() => {
+        dbPromise = null;
+    });
+
+    return dbPromise;
+}
+
+/**
+ * Run a single request against an object store and resolve with its result
+ */
+async function dbRequest(storeName, mode, makeRequest) {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = makeRequest(transaction.objectStore(storeName));
+
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Get a single record by key
+ */
+function dbGet(storeName, key) {
+    return dbRequest(storeName, 'readonly', store => store.get(key));
+}
+
+/**
+ * Get all records in a store
+ */
+function dbGetAll(storeName) {
+    return dbRequest(storeName, 'readonly', store => store.getAll());
+}
+
+/**
+ * Insert or replace a record
+ */
+function dbPut(storeName, record) {
+    return dbRequest(storeName, 'readwrite', store => store.put(record));
+}
+
+/**
+ * Delete a record by key
+ */
+function dbDelete(storeName, key) {
+    return dbRequest(storeName, 'readwrite', store => store.delete(key));
+}
+
+/**
+ * Get several records by key in one transaction (undefined for missing keys)
+ */
+async function dbGetMany(storeName, keys) {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, 'readonly');
+        const store = transaction.objectStore(storeName);
+        const requests = keys.map(key => store.get(key));
+
+        transaction.oncomplete = () => resolve(requests.map(request => request.result));
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Insert or replace several records in one transaction
+ */
+async function dbPutMany(storeName, records) {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, 'readwrite');
+        const store = transaction.objectStore(storeName);
+        records.forEach(record => store.put(record));
+
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+/**
+ * Count the records in a store
+ */
+function dbCount(storeName) {
+    return dbRequest(storeName, 'readonly', store => store.count());
+}
+
+/**
+ * Delete all records in a store
+ */
+function dbClear(storeName) {
+    return dbRequest(storeName, 'readwrite', store => store.clear());
+}